@@ -0,0 +1,179 @@
+// Calibration analysis for LinkedIn Lead Scorer
+// Compares scores with the accept/ignore decisions recorded in the lead history
+// and suggests rubric point changes that would bring the two closer
+
+// Score bands matching getScoreClass (scoring.js), with the decision a score in the band predicts
+const SCORE_BANDS = [
+    { className: 'score-excellent', label: 'Excellent (20+)', min: 20, expects: 'accept' },
+    { className: 'score-good', label: 'Good (10–19)', min: 10, expects: 'accept' },
+    { className: 'score-fair', label: 'Fair (5–9)', min: 5, expects: null },
+    { className: 'score-poor', label: 'Poor (0–4)', min: 0, expects: 'ignore' },
+    { className: 'score-negative', label: 'Negative (below 0)', min: -Infinity, expects: 'ignore' }
+];
+
+// Decisions needed both with and without a rule matching before its points are questioned
+const MIN_RULE_DECISIONS = 5;
+
+// Smallest gap between the accept rate with and without a rule matching that is worth a suggestion
+const MIN_ACCEPT_RATE_GAP = 0.15;
+
+// Points a suggestion moves a rule by for a 100-point gap in accept rate
+const POINTS_PER_ACCEPT_RATE_GAP = 10;
+
+const MAX_EXAMPLE_CANDIDATES = 20;
+
+/**
+ * Get the leads that were accepted or ignored
+ */
+function getDecidedLeads(leads) {
+    return leads.filter(lead => LEAD_ACTIONS[lead.action]);
+}
+
+/**
+ * Get the model's score when the decision was made; leads decided before this was kept use the latest score
+ */
+function getDecisionScore(lead) {
+    return lead.actionScore ?? lead.score;
+}
+
+/**
+ * Get the share of leads that were accepted, or null when there are none
+ */
+function getAcceptRate(leads) {
+    if (leads.length === 0) {
+        return null;
+    }
+    return leads.filter(lead => lead.action === 'accept').length / leads.length;
+}
+
+/**
+ * Get the score band a score falls in
+ */
+function getScoreBand(score) {
+    return SCORE_BANDS.find(band => score >= band.min);
+}
+
+/**
+ * Count decisions per score band. Precision is the share of decisions that went the way
+ * the band predicts; the middle band predicts nothing
+ */
+function buildBandStats(decided) {
+    return SCORE_BANDS.map(band => {
+        const inBand = decided.filter(lead => getScoreBand(getDecisionScore(lead)) === band);
+        const accepted = inBand.filter(lead => lead.action === 'accept').length;
+        const agreeing = band.expects === 'accept' ? accepted : inBand.length - accepted;
+
+        return {
+            band: band,
+            decided: inBand.length,
+            accepted: accepted,
+            ignored: inBand.length - accepted,
+            precision: band.expects && inBand.length > 0 ? agreeing / inBand.length : null
+        };
+    });
+}
+
+/**
+ * Count decisions per rubric rule, re-checking each decided profile against the rubric.
+ * Precision is the accept rate where a positive rule matched, or the ignore rate for a negative one
+ */
+function buildRuleStats(rubric, decided) {
+    const matches = decided.map(lead => ({
+        lead: lead,
+        ruleIds: new Set(evaluateRubric(rubric, lead.profile).breakdown.map(entry => entry.ruleId))
+    }));
+
+    return rubric.rules.map(rule => {
+        const matched = matches.filter(match => match.ruleIds.has(rule.id)).map(match => match.lead);
+        const unmatched = matches.filter(match => !match.ruleIds.has(rule.id)).map(match => match.lead);
+        const matchedAcceptRate = getAcceptRate(matched);
+
+        return {
+            rule: rule,
+            matched: matched.length,
+            unmatched: unmatched.length,
+            matchedAcceptRate: matchedAcceptRate,
+            unmatchedAcceptRate: getAcceptRate(unmatched),
+            precision: matchedAcceptRate === null ? null : (rule.points > 0 ? matchedAcceptRate : 1 - matchedAcceptRate)
+        };
+    });
+}
+
+/**
+ * Suggest new points for rules whose matches are accepted noticeably more or less often than the rest.
+ * A suggestion never flips a rule between rewarding and penalising
+ */
+function suggestRuleChanges(ruleStats) {
+    return ruleStats
+        .filter(stats => stats.matched >= MIN_RULE_DECISIONS && stats.unmatched >= MIN_RULE_DECISIONS)
+        .map(stats => {
+            const gap = stats.matchedAcceptRate - stats.unmatchedAcceptRate;
+            const points = stats.rule.points;
+            const moved = points + Math.round(gap * POINTS_PER_ACCEPT_RATE_GAP);
+            const suggested = points > 0
+                ? Math.min(Math.max(moved, 1), MAX_RULE_POINTS)
+                : Math.max(Math.min(moved, -1), -MAX_RULE_POINTS);
+
+            return {
+                ruleId: stats.rule.id,
+                label: stats.rule.label,
+                points: points,
+                suggestedPoints: suggested,
+                gap: gap,
+                reason: `${formatRate(stats.matchedAcceptRate)} accepted when it matches (${stats.matched}) vs ${formatRate(stats.unmatchedAcceptRate)} when it does not (${stats.unmatched})`
+            };
+        })
+        .filter(change => Math.abs(change.gap) >= MIN_ACCEPT_RATE_GAP && change.suggestedPoints !== change.points);
+}
+
+/**
+ * Return a copy of the rubric with the chosen point changes; changes to rules no longer in it are dropped
+ */
+function applyRuleChanges(rubric, changes) {
+    const pointsById = new Map(changes.map(change => [change.ruleId, change.suggestedPoints]));
+
+    return {
+        ...rubric,
+        rules: rubric.rules.map(rule => pointsById.has(rule.id) ? { ...rule, points: pointsById.get(rule.id) } : rule)
+    };
+}
+
+/**
+ * Find the decisions that disagree with the score the most: accepted leads scored in a band
+ * that predicts ignoring, and ignored leads scored in a band that predicts accepting.
+ * These make good examples to show the model what the rubric misses
+ */
+function findExampleCandidates(decided) {
+    return decided
+        .filter(lead => {
+            const expects = getScoreBand(getDecisionScore(lead)).expects;
+            return expects && expects !== lead.action;
+        })
+        .sort((a, b) => getDisagreement(b) - getDisagreement(a))
+        .slice(0, MAX_EXAMPLE_CANDIDATES);
+}
+
+/**
+ * Suggest the score to pin a disagreeing decision with as an example: at least Good for an accepted lead,
+ * at most Poor for an ignored one
+ */
+function getSuggestedExampleScore(lead) {
+    const score = getDecisionScore(lead);
+    const lowestAccepted = Math.min(...SCORE_BANDS.filter(band => band.expects === 'accept').map(band => band.min));
+    return lead.action === 'accept' ? Math.max(score, lowestAccepted) : Math.min(score, 0);
+}
+
+/**
+ * Measure how far a decision is from its score: low accepted and high ignored scores are furthest
+ */
+function getDisagreement(lead) {
+    const score = getDecisionScore(lead);
+    return lead.action === 'accept' ? -score : score;
+}
+
+/**
+ * Format a rate as a whole percentage, or a dash when there is nothing to rate
+ */
+function formatRate(rate) {
+    return rate === null ? '–' : `${Math.round(rate * 100)}%`;
+}
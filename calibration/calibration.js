@@ -0,0 +1,282 @@
+// Calibration page for LinkedIn Lead Scorer
+// Shows how well scores predicted accept/ignore decisions and applies reviewed rubric changes
+
+// Persona the analysis was run for, so changes are applied to the rubric that was analysed
+let calibratedPersonaId = null;
+let suggestions = [];
+
+// Pinned few-shot examples by profile key
+let examplesByKey = new Map();
+
+// DOM elements
+let calibrationSummary;
+let calibrationPersona;
+let bandRows;
+let ruleRows;
+let suggestionList;
+let suggestionEmpty;
+let applySuggestionsBtn;
+let applyStatus;
+let exampleRows;
+let exampleEmpty;
+
+// Initialize page when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    initializeElements();
+    setupEventListeners();
+    await refreshCalibration();
+});
+
+/**
+ * Initialize DOM element references
+ */
+function initializeElements() {
+    calibrationSummary = document.getElementById('calibration-summary');
+    calibrationPersona = document.getElementById('calibration-persona');
+    bandRows = document.getElementById('band-rows');
+    ruleRows = document.getElementById('rule-rows');
+    suggestionList = document.getElementById('suggestion-list');
+    suggestionEmpty = document.getElementById('suggestion-empty');
+    applySuggestionsBtn = document.getElementById('apply-suggestions');
+    applyStatus = document.getElementById('apply-status');
+    exampleRows = document.getElementById('example-rows');
+    exampleEmpty = document.getElementById('example-empty');
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+    applySuggestionsBtn.addEventListener('click', handleApplySuggestions);
+
+    // Pick up decisions made on LinkedIn and rubric edits made in the popup while this page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if ((areaName === 'local' && Object.keys(changes).some(key =>
+            key.startsWith(LEAD_HISTORY_PREFIX) || key.startsWith(FEW_SHOT_EXAMPLE_PREFIX))) ||
+            (areaName === 'sync' && isPersonaChange(changes))) {
+            refreshCalibration();
+        }
+    });
+}
+
+/**
+ * Analyse the decided leads against the active persona's rubric and re-render
+ */
+async function refreshCalibration() {
+    try {
+        const persona = await loadActivePersona();
+        const rubric = getPersonaRubric(persona.settings);
+        const decided = getDecidedLeads(await loadLeadHistory());
+        const ruleStats = buildRuleStats(rubric, decided);
+        examplesByKey = new Map((await loadFewShotExamples()).map(example => [example.profileKey, example]));
+
+        calibratedPersonaId = persona.id;
+        calibrationPersona.textContent = persona.isOnlyPersona ? 'active' : `${persona.name} persona's`;
+        suggestions = suggestRuleChanges(ruleStats);
+
+        renderSummary(decided);
+        bandRows.replaceChildren(...buildBandStats(decided).map(createBandRow));
+        ruleRows.replaceChildren(...ruleStats.map(createRuleRow));
+        renderSuggestions(decided.length);
+        renderExamples(findExampleCandidates(decided));
+    } catch (error) {
+        console.error('Error loading calibration:', error);
+        calibrationSummary.textContent = 'Error loading calibration';
+    }
+}
+
+/**
+ * Summarise the decisions the analysis is based on
+ */
+function renderSummary(decided) {
+    if (decided.length === 0) {
+        calibrationSummary.textContent = 'No accepted or ignored leads yet. Decisions on scored cards are recorded as you make them.';
+        return;
+    }
+
+    const accepted = decided.filter(lead => lead.action === 'accept').length;
+    calibrationSummary.textContent = `${decided.length} ${decided.length === 1 ? 'decision' : 'decisions'}: ` +
+        `${accepted} accepted, ${decided.length - accepted} ignored (${formatRate(getAcceptRate(decided))} accepted overall)`;
+}
+
+/**
+ * Create the table row for a score band
+ */
+function createBandRow(stats) {
+    const row = document.createElement('tr');
+    row.appendChild(createCell(stats.band.label, stats.band.className));
+    row.appendChild(createCell(stats.decided));
+    row.appendChild(createCell(stats.accepted));
+    row.appendChild(createCell(stats.ignored));
+    row.appendChild(createCell(formatRate(stats.precision)));
+    return row;
+}
+
+/**
+ * Create the table row for a rubric rule
+ */
+function createRuleRow(stats) {
+    const row = document.createElement('tr');
+    row.appendChild(createCell(stats.rule.label));
+    row.appendChild(createCell(stats.rule.points > 0 ? `+${stats.rule.points}` : stats.rule.points));
+    row.appendChild(createCell(stats.matched));
+    row.appendChild(createCell(formatRate(stats.matchedAcceptRate)));
+    row.appendChild(createCell(formatRate(stats.unmatchedAcceptRate)));
+    row.appendChild(createCell(formatRate(stats.precision)));
+    return row;
+}
+
+/**
+ * List the suggested point changes, each with a checkbox to include it
+ */
+function renderSuggestions(decidedCount) {
+    suggestionList.replaceChildren(...suggestions.map(createSuggestionItem));
+    suggestionEmpty.hidden = suggestions.length > 0;
+    suggestionEmpty.textContent = decidedCount < MIN_RULE_DECISIONS * 2
+        ? `Suggestions need at least ${MIN_RULE_DECISIONS} decisions with and without a rule matching.`
+        : 'The rule points already match your decisions.';
+    applySuggestionsBtn.disabled = suggestions.length === 0;
+}
+
+/**
+ * Create the list item for a suggested point change
+ */
+function createSuggestionItem(change) {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.ruleId = change.ruleId;
+
+    const text = document.createElement('span');
+    text.textContent = `${change.label}: ${change.points} → ${change.suggestedPoints} points`;
+
+    const reason = document.createElement('span');
+    reason.className = 'suggestion-reason';
+    reason.textContent = change.reason;
+
+    label.append(checkbox, text, reason);
+    item.appendChild(label);
+    return item;
+}
+
+/**
+ * List the decisions that disagree with their score the most
+ */
+function renderExamples(candidates) {
+    exampleRows.replaceChildren(...candidates.map(createExampleRow));
+    exampleEmpty.hidden = candidates.length > 0;
+}
+
+/**
+ * Create the table row for a disagreeing decision
+ */
+function createExampleRow(lead) {
+    const row = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    if (lead.profile.profileUrl) {
+        const link = document.createElement('a');
+        link.href = lead.profile.profileUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = lead.profile.name || 'Unknown';
+        nameCell.appendChild(link);
+    } else {
+        nameCell.textContent = lead.profile.name || 'Unknown';
+    }
+    row.appendChild(nameCell);
+
+    const score = getDecisionScore(lead);
+    row.appendChild(createCell(lead.profile.headline || ''));
+    row.appendChild(createCell(score, `score ${getScoreBand(score).className}`));
+    row.appendChild(createCell(LEAD_ACTIONS[lead.action]));
+    row.appendChild(createCell(lead.reasoning, 'reasoning'));
+
+    const exampleCell = document.createElement('td');
+    const example = examplesByKey.get(lead.profileKey);
+    if (example) {
+        exampleCell.textContent = `Pinned at ${example.score}`;
+    } else {
+        const pinBtn = document.createElement('button');
+        pinBtn.type = 'button';
+        pinBtn.className = 'btn btn-secondary btn-small';
+        pinBtn.textContent = 'Pin';
+        pinBtn.addEventListener('click', () => handlePinExample(lead));
+        exampleCell.appendChild(pinBtn);
+    }
+    row.appendChild(exampleCell);
+    return row;
+}
+
+/**
+ * Ask for the score a disagreeing lead should have had and pin it as a few-shot example
+ */
+async function handlePinExample(lead) {
+    const value = prompt(`Score you want the model to give ${lead.profile.name || 'this profile'}:`, getSuggestedExampleScore(lead));
+    if (value === null) {
+        return;
+    }
+
+    const score = parseExampleScore(value);
+    if (Number.isNaN(score)) {
+        calibrationSummary.textContent = `Example score must be a whole number between -${MAX_EXAMPLE_SCORE} and ${MAX_EXAMPLE_SCORE}`;
+        return;
+    }
+
+    try {
+        await saveFewShotExample(lead.profileKey, lead.profile, score);
+    } catch (error) {
+        console.error('Error pinning example:', error);
+        calibrationSummary.textContent = error.message || 'Error pinning example';
+    }
+}
+
+/**
+ * Create a text table cell
+ */
+function createCell(text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) {
+        cell.className = className;
+    }
+    return cell;
+}
+
+/**
+ * Apply the ticked point changes to the analysed persona's rubric
+ */
+async function handleApplySuggestions() {
+    const selectedIds = Array.from(suggestionList.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(checkbox => checkbox.dataset.ruleId);
+    const selected = suggestions.filter(change => selectedIds.includes(change.ruleId));
+
+    if (selected.length === 0) {
+        applyStatus.textContent = 'Tick at least one change to apply';
+        return;
+    }
+    if (!confirm(`Apply ${selected.length} point ${selected.length === 1 ? 'change' : 'changes'} to the rubric? Cards will be scored again with the new rubric.`)) {
+        return;
+    }
+
+    try {
+        // Start from the stored rubric in case it was edited since the analysis
+        const persona = await loadPersona(calibratedPersonaId);
+        const updated = applyRuleChanges(getPersonaRubric(persona.settings), selected);
+        const errors = validateRubric(updated);
+        if (errors.length > 0) {
+            applyStatus.textContent = errors[0];
+            return;
+        }
+
+        await savePersonaSettings(persona.id, { scoringRubric: updated });
+        applyStatus.textContent = `Applied ${selected.length} ${selected.length === 1 ? 'change' : 'changes'}`;
+        await refreshCalibration();
+    } catch (error) {
+        console.error('Error applying rubric changes:', error);
+        applyStatus.textContent = 'Error applying changes';
+    }
+}
@@ -0,0 +1,176 @@
+// Lead export for LinkedIn Lead Scorer
+// Builds CSV and JSON files from lead history entries, with CRM column presets
+
+// Column presets: each column is [header, value getter]
+const EXPORT_PRESETS = {
+    generic: {
+        label: 'Generic',
+        columns: [
+            ['Name', lead => lead.profile.name || ''],
+            ['Headline', lead => lead.profile.headline || ''],
+            ['Location', lead => lead.profile.location || ''],
+            ['Mutual Connections', lead => lead.profile.mutualConnections ?? ''],
+            ['Invitation Message', lead => lead.profile.message || ''],
+            ['Profile URL', lead => lead.profile.profileUrl || ''],
+            ['Score', lead => getLeadScore(lead)],
+            ['Model Score', lead => lead.score],
+            ['Breakdown', lead => formatLeadBreakdown(lead)],
+            ['Reasoning', lead => lead.reasoning],
+            ['Provider', lead => lead.provider],
+            ['Model', lead => lead.model],
+            ['Persona', lead => lead.persona || ''],
+            ['Scored At', lead => new Date(lead.scoredAt).toISOString()],
+            ['Action', lead => lead.action || '']
+        ]
+    },
+    hubspot: {
+        label: 'HubSpot contacts',
+        columns: [
+            ['First Name', lead => splitName(lead.profile.name).first],
+            ['Last Name', lead => splitName(lead.profile.name).last],
+            ['Job Title', lead => lead.profile.headline || ''],
+            ['Company Name', lead => getCompany(lead.profile.headline)],
+            ['City', lead => lead.profile.location || ''],
+            ['LinkedIn URL', lead => lead.profile.profileUrl || ''],
+            ['Lifecycle Stage', () => 'lead'],
+            ['Lead Score', lead => getLeadScore(lead)],
+            ['Lead Score Breakdown', lead => formatLeadBreakdown(lead)],
+            ['Lead Score Reasoning', lead => lead.reasoning],
+            ['Lead Scored Date', lead => new Date(lead.scoredAt).toISOString()]
+        ]
+    },
+    salesforce: {
+        label: 'Salesforce leads',
+        columns: [
+            ['First Name', lead => splitName(lead.profile.name).first],
+            ['Last Name', lead => splitName(lead.profile.name).last || splitName(lead.profile.name).first],
+            // Company is required for Salesforce leads
+            ['Company', lead => getCompany(lead.profile.headline) || '[not provided]'],
+            ['Title', lead => lead.profile.headline || ''],
+            ['City', lead => lead.profile.location || ''],
+            ['Lead Source', () => 'LinkedIn'],
+            ['Rating', lead => getLeadRating(getLeadScore(lead))],
+            ['Website', lead => lead.profile.profileUrl || ''],
+            ['Description', lead => `${describeLeadScore(lead)} (${formatLeadBreakdown(lead)}). ${lead.reasoning}`],
+            ['Lead Score', lead => getLeadScore(lead)],
+            ['Scored Date', lead => new Date(lead.scoredAt).toISOString()]
+        ]
+    }
+};
+
+/**
+ * Build a CSV file from leads using a preset's columns
+ */
+function buildLeadsCsv(leads, presetName) {
+    const columns = EXPORT_PRESETS[presetName].columns;
+    const lines = [columns.map(([header]) => escapeCsvValue(header)).join(',')];
+
+    leads.forEach(lead => {
+        lines.push(columns.map(([, getValue]) => escapeCsvValue(getValue(lead))).join(','));
+    });
+
+    // Byte order mark so spreadsheet apps read names as UTF-8
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a JSON file from leads; the generic preset keeps the full breakdown
+ */
+function buildLeadsJson(leads, presetName) {
+    if (presetName === 'generic') {
+        const records = leads.map(lead => ({
+            ...lead.profile,
+            score: getLeadScore(lead),
+            modelScore: lead.score,
+            overridden: lead.overrideScore !== null && lead.overrideScore !== undefined,
+            breakdown: (lead.breakdown || []).map(entry => ({
+                rule: entry.label,
+                points: entry.points,
+                matched: entry.matched || []
+            })),
+            reasoning: lead.reasoning,
+            provider: lead.provider,
+            model: lead.model,
+            persona: lead.persona || null,
+            scoredAt: new Date(lead.scoredAt).toISOString(),
+            action: lead.action || null
+        }));
+        return JSON.stringify(records, null, 2);
+    }
+
+    const columns = EXPORT_PRESETS[presetName].columns;
+    const records = leads.map(lead => Object.fromEntries(columns.map(([header, getValue]) => [header, getValue(lead)])));
+    return JSON.stringify(records, null, 2);
+}
+
+/**
+ * Quote a CSV value when needed and neutralise spreadsheet formulas
+ */
+function escapeCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    // Text starting with a formula character would be executed by Excel or Sheets
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Describe a lead's score, noting when it was set by hand
+ */
+function describeLeadScore(lead) {
+    const score = getLeadScore(lead);
+    return score === lead.score ? `Lead score ${score}` : `Lead score ${score}, set manually; model scored ${lead.score}`;
+}
+
+/**
+ * Format a lead's per-rule breakdown as one line
+ */
+function formatLeadBreakdown(lead) {
+    return (lead.breakdown || []).map(entry => {
+        const points = entry.points > 0 ? `+${entry.points}` : `${entry.points}`;
+        return `${entry.label} ${points}`;
+    }).join('; ');
+}
+
+/**
+ * Split a full name into first name and the rest
+ */
+function splitName(name) {
+    const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+    return {
+        first: parts[0] || '',
+        last: parts.slice(1).join(' ')
+    };
+}
+
+/**
+ * Guess the company from a headline like "Founder at Acme" or "CTO @ Acme"
+ */
+function getCompany(headline) {
+    const match = (headline || '').match(/\s(?:at|@)\s+([^|,•]+)/i);
+    return match ? match[1].trim() : '';
+}
+
+/**
+ * Map a score to a Salesforce lead rating
+ */
+function getLeadRating(score) {
+    if (score >= 20) return 'Hot';
+    if (score >= 10) return 'Warm';
+    return 'Cold';
+}
+
+/**
+ * Save text as a file through a temporary download link
+ */
+function downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,334 @@
+// History page for LinkedIn Lead Scorer
+// Lists every scored profile with search, sorting and filters, and exports the filtered leads
+
+const HISTORY_SORTS = {
+    'date-desc': (a, b) => b.scoredAt - a.scoredAt,
+    'date-asc': (a, b) => a.scoredAt - b.scoredAt,
+    'score-desc': (a, b) => getLeadScore(b) - getLeadScore(a) || b.scoredAt - a.scoredAt,
+    'score-asc': (a, b) => getLeadScore(a) - getLeadScore(b) || b.scoredAt - a.scoredAt,
+    'name-asc': (a, b) => getLeadName(a).localeCompare(getLeadName(b))
+};
+
+// Every lead in the history, reloaded whenever the store changes
+let leads = [];
+
+// Pinned few-shot examples by profile key
+let examplesByKey = new Map();
+
+// DOM elements
+let searchInput;
+let minScoreInput;
+let maxScoreInput;
+let fromDateInput;
+let toDateInput;
+let actionSelect;
+let sortSelect;
+let clearHistoryBtn;
+let historyRows;
+let historySummary;
+let emptyState;
+let exportFormatSelect;
+let exportPresetSelect;
+let exportBtn;
+let exampleList;
+let examplesEmpty;
+
+// Initialize page when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    initializeElements();
+    setupEventListeners();
+    await refreshLeads();
+});
+
+/**
+ * Initialize DOM element references
+ */
+function initializeElements() {
+    searchInput = document.getElementById('history-search');
+    minScoreInput = document.getElementById('history-min-score');
+    maxScoreInput = document.getElementById('history-max-score');
+    fromDateInput = document.getElementById('history-from-date');
+    toDateInput = document.getElementById('history-to-date');
+    actionSelect = document.getElementById('history-action');
+    sortSelect = document.getElementById('history-sort');
+    clearHistoryBtn = document.getElementById('clear-history');
+    historyRows = document.getElementById('history-rows');
+    historySummary = document.getElementById('history-summary');
+    emptyState = document.getElementById('history-empty');
+    exportFormatSelect = document.getElementById('export-format');
+    exportPresetSelect = document.getElementById('export-preset');
+    exportBtn = document.getElementById('export-leads');
+    exampleList = document.getElementById('example-list');
+    examplesEmpty = document.getElementById('examples-empty');
+
+    Object.entries(EXPORT_PRESETS).forEach(([name, preset]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = preset.label;
+        exportPresetSelect.appendChild(option);
+    });
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+    [searchInput, minScoreInput, maxScoreInput].forEach(input => input.addEventListener('input', renderLeads));
+    [fromDateInput, toDateInput, actionSelect, sortSelect].forEach(select => select.addEventListener('change', renderLeads));
+    clearHistoryBtn.addEventListener('click', handleClearHistory);
+    exportBtn.addEventListener('click', handleExport);
+
+    // Pick up leads scored and examples pinned on LinkedIn while this page is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && Object.keys(changes).some(key =>
+            key.startsWith(LEAD_HISTORY_PREFIX) || key.startsWith(FEW_SHOT_EXAMPLE_PREFIX))) {
+            refreshLeads();
+        }
+    });
+}
+
+/**
+ * Reload leads and pinned examples from storage and re-render
+ */
+async function refreshLeads() {
+    try {
+        leads = await loadLeadHistory();
+        const examples = await loadFewShotExamples();
+        examplesByKey = new Map(examples.map(example => [example.profileKey, example]));
+        renderLeads();
+        renderExamples(examples);
+    } catch (error) {
+        console.error('Error loading lead history:', error);
+        historySummary.textContent = 'Error loading history';
+    }
+}
+
+/**
+ * Render the leads that pass the current filters, in the chosen order
+ */
+function renderLeads() {
+    const visible = getVisibleLeads();
+
+    historyRows.replaceChildren(...visible.map(createLeadRow));
+    emptyState.hidden = visible.length > 0;
+    historySummary.textContent = visible.length === leads.length
+        ? `${leads.length} ${leads.length === 1 ? 'profile' : 'profiles'} scored`
+        : `Showing ${visible.length} of ${leads.length} scored profiles`;
+}
+
+/**
+ * Get the leads that pass the current filters, in the chosen order
+ */
+function getVisibleLeads() {
+    return leads.filter(matchesFilters).sort(HISTORY_SORTS[sortSelect.value]);
+}
+
+/**
+ * Check a lead against the search text, score range, date range and action filters
+ */
+function matchesFilters(lead) {
+    const query = searchInput.value.trim().toLowerCase();
+    if (query) {
+        const haystack = [getLeadName(lead), lead.profile.headline, lead.reasoning].join(' ').toLowerCase();
+        if (!haystack.includes(query)) {
+            return false;
+        }
+    }
+
+    const min = readScoreBound(minScoreInput);
+    const max = readScoreBound(maxScoreInput);
+    if ((min !== null && getLeadScore(lead) < min) || (max !== null && getLeadScore(lead) > max)) {
+        return false;
+    }
+
+    // Date inputs are local calendar days; the "to" day is inclusive
+    const from = fromDateInput.value ? new Date(`${fromDateInput.value}T00:00:00`).getTime() : null;
+    const to = toDateInput.value ? new Date(`${toDateInput.value}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 : null;
+    if ((from !== null && lead.scoredAt < from) || (to !== null && lead.scoredAt >= to)) {
+        return false;
+    }
+
+    const action = actionSelect.value;
+    if (action === 'none') {
+        return !lead.action;
+    }
+    return !action || lead.action === action;
+}
+
+/**
+ * Read a score bound input, or null when it is empty
+ */
+function readScoreBound(input) {
+    const value = input.value.trim();
+    return value === '' || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+/**
+ * Create the table row for a lead
+ */
+function createLeadRow(lead) {
+    const row = document.createElement('tr');
+
+    const nameCell = document.createElement('td');
+    if (lead.profile.profileUrl) {
+        const link = document.createElement('a');
+        link.href = lead.profile.profileUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = getLeadName(lead);
+        nameCell.appendChild(link);
+    } else {
+        nameCell.textContent = getLeadName(lead);
+    }
+    row.appendChild(nameCell);
+
+    row.appendChild(createCell(lead.profile.headline || ''));
+    const score = getLeadScore(lead);
+    row.appendChild(createCell(score === lead.score ? score : `${score} (model ${lead.score})`, `score ${getScoreClass(score)}`));
+    row.appendChild(createCell(lead.reasoning, 'reasoning'));
+    row.appendChild(createCell([lead.persona, `${lead.provider} / ${lead.model}`].filter(Boolean).join(' · ')));
+    row.appendChild(createCell(new Date(lead.scoredAt).toLocaleString()));
+    row.appendChild(createCell(lead.action ? `${LEAD_ACTIONS[lead.action]} ${new Date(lead.actionAt).toLocaleDateString()}` : '—'));
+    row.appendChild(createExampleCell(lead));
+
+    return row;
+}
+
+/**
+ * Create the cell that pins a lead as a few-shot example, or shows the score it is pinned with
+ */
+function createExampleCell(lead) {
+    const cell = document.createElement('td');
+    const example = examplesByKey.get(lead.profileKey);
+
+    if (example) {
+        cell.appendChild(document.createTextNode(`Pinned at ${example.score} `));
+        cell.appendChild(createButton('Unpin', () => handleUnpinExample(lead.profileKey)));
+    } else {
+        cell.appendChild(createButton('Pin', () => handlePinExample(lead)));
+    }
+    return cell;
+}
+
+/**
+ * Create a small button
+ */
+function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary btn-small';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * List every pinned example, including those whose lead is no longer in the history
+ */
+function renderExamples(examples) {
+    exampleList.replaceChildren(...examples.map(example => {
+        const item = document.createElement('li');
+        const profile = document.createElement('span');
+        profile.className = 'example-profile';
+        profile.textContent = [example.profile.name || 'Unknown', example.profile.headline].filter(Boolean).join(' · ');
+
+        const score = document.createElement('span');
+        score.className = `score ${getScoreClass(example.score)}`;
+        score.textContent = example.score;
+
+        item.append(profile, score, createButton('Unpin', () => handleUnpinExample(example.profileKey)));
+        return item;
+    }));
+    examplesEmpty.hidden = examples.length > 0;
+}
+
+/**
+ * Create a text table cell
+ */
+function createCell(text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) {
+        cell.className = className;
+    }
+    return cell;
+}
+
+/**
+ * Get a display name for a lead
+ */
+function getLeadName(lead) {
+    return lead.profile.name || 'Unknown';
+}
+
+/**
+ * Handle export button click, exporting the leads currently shown
+ */
+function handleExport() {
+    const visible = getVisibleLeads();
+    if (visible.length === 0) {
+        historySummary.textContent = 'No leads to export with these filters';
+        return;
+    }
+
+    const preset = exportPresetSelect.value;
+    const date = new Date().toISOString().substring(0, 10);
+
+    if (exportFormatSelect.value === 'json') {
+        downloadFile(buildLeadsJson(visible, preset), `scored-leads-${preset}-${date}.json`, 'application/json');
+    } else {
+        downloadFile(buildLeadsCsv(visible, preset), `scored-leads-${preset}-${date}.csv`, 'text/csv;charset=utf-8');
+    }
+}
+
+/**
+ * Ask for the score we want for a lead and pin it as a few-shot example
+ */
+async function handlePinExample(lead) {
+    const value = prompt(`Score you want the model to give ${getLeadName(lead)}:`, getLeadScore(lead));
+    if (value === null) {
+        return;
+    }
+
+    const score = parseExampleScore(value);
+    if (Number.isNaN(score)) {
+        historySummary.textContent = `Example score must be a whole number between -${MAX_EXAMPLE_SCORE} and ${MAX_EXAMPLE_SCORE}`;
+        return;
+    }
+
+    try {
+        await saveFewShotExample(lead.profileKey, lead.profile, score);
+    } catch (error) {
+        console.error('Error pinning example:', error);
+        historySummary.textContent = error.message || 'Error pinning example';
+    }
+}
+
+/**
+ * Unpin a few-shot example
+ */
+async function handleUnpinExample(profileKey) {
+    try {
+        await removeFewShotExample(profileKey);
+    } catch (error) {
+        console.error('Error unpinning example:', error);
+        historySummary.textContent = 'Error unpinning example';
+    }
+}
+
+/**
+ * Handle clear history button click
+ */
+async function handleClearHistory() {
+    if (!confirm('Remove every scored lead from the history? Cached scores are kept.')) {
+        return;
+    }
+
+    try {
+        await clearLeadHistory();
+        await refreshLeads();
+    } catch (error) {
+        console.error('Error clearing lead history:', error);
+        historySummary.textContent = 'Error clearing history';
+    }
+}
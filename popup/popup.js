@@ -1,58 +1,236 @@
-// Model configurations for different providers
-const MODEL_CONFIGS = {
-    openai: [
-        { value: 'gpt-4o', label: 'GPT-4o' },
-        { value: 'gpt-4o-mini', label: 'GPT-4o Mini' },
-        { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo' }
-    ],
-    gemini: [
-        { value: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro' },
-        { value: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash' },
-        { value: 'gemini-pro', label: 'Gemini Pro' }
-    ],
-    anthropic: [
-        { value: 'claude-3-5-sonnet-20241022', label: 'Claude 3.5 Sonnet' },
-        { value: 'claude-3-haiku-20240307', label: 'Claude 3 Haiku' },
-        { value: 'claude-3-opus-20240229', label: 'Claude 3 Opus' }
-    ]
+// Providers that score without calling an external API
+const PROVIDERS_WITHOUT_API_KEY = ['local'];
+
+// Providers where an API key is accepted but not required
+const OPTIONAL_API_KEY_PROVIDERS = ['custom'];
+
+// Shown in the redaction preview until a card has been scored
+const SAMPLE_PREVIEW_PROFILE = {
+    name: 'Jane Doe',
+    headline: 'Head of Growth at Acme | jane.doe@acme.example',
+    location: 'Berlin, Germany',
+    mutualConnections: '12 mutual connections',
+    message: 'Hi, Jane here. Call me on +49 30 1234 5678 or see https://acme.example/jane',
+    hasProfilePic: true
 };
 
+// The profile the redaction preview is built from
+let previewProfile = SAMPLE_PREVIEW_PROFILE;
+
+// The active persona's saved API key; the key field stays empty and only shows it masked.
+// Null when there is none or it is encrypted and locked
+let savedApiKey = null;
+let hasSavedApiKey = false;
+
 // DOM elements
 let modelProviderSelect;
 let modelSelectionSelect;
-let apiKeyTextarea;
+let apiKeyInput;
+let apiKeyStatus;
+let forgetApiKeyBtn;
+let keyStorageSection;
+let keyStorageStatus;
+let keyPassphraseGroup;
+let keyPassphraseInput;
+let keyPassphraseConfirmGroup;
+let keyPassphraseConfirmInput;
+let encryptKeysBtn;
+let unlockKeysBtn;
+let lockKeysBtn;
+let decryptKeysBtn;
+let resetKeysBtn;
+let apiKeyGroup;
+let customBaseUrlGroup;
+let customBaseUrlInput;
+let fetchModelsBtn;
+let localFirstCheckbox;
+let localFirstGroup;
+let queueConcurrencyInput;
+let requestsPerMinuteInput;
+let batchSizeInput;
 let testConnectionBtn;
 let saveSettingsBtn;
 let statusMessage;
 let settingsForm;
+let rubricRulesContainer;
+let addRuleBtn;
+let resetRubricBtn;
+let saveRubricBtn;
+let cacheStats;
+let exampleStats;
+let fewShotTokenBudgetInput;
+let saveExamplesBtn;
+let redactEmailsCheckbox;
+let redactPhonesCheckbox;
+let redactUrlsCheckbox;
+let redactNamesCheckbox;
+let minimizeDataCheckbox;
+let redactionPreviewSource;
+let redactionPreview;
+let savePrivacyBtn;
+let transmissionLog;
+let exportAuditLogBtn;
+let clearAuditLogBtn;
+let clearCacheBtn;
+let openHistoryBtn;
+let openCalibrationBtn;
+let usageToday;
+let usageMonth;
+let usageByModel;
+let monthlyBudgetInput;
+let priceRows;
+let clearUsageBtn;
+let resetPricesBtn;
+let saveUsageBtn;
+let webhookUrlInput;
+let webhookThresholdInput;
+let webhookSecretInput;
+let webhookHeadersTextarea;
+let testWebhookBtn;
+let saveWebhookBtn;
+let webhookLog;
+let notifyEnabledCheckbox;
+let notifyThresholdInput;
+let quietHoursStartInput;
+let quietHoursEndInput;
+let saveNotificationsBtn;
+let pageTogglesContainer;
+let personaSelect;
+let deletePersonaBtn;
+let newPersonaNameInput;
+let addPersonaBtn;
+let comparePersonasGroup;
+let comparePersonasContainer;
+let enrichProfilesCheckbox;
+let savePagesBtn;
 
 // Initialize popup when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
     initializeElements();
     setupEventListeners();
-    await loadSavedSettings();
+    await loadPersonaSelector();
+    await loadKeyStorageState();
+    await loadPersonaSections();
+    await loadCacheStats();
+    await loadExampleSettings();
+    await loadPrivacySettings();
+    await loadUsageSettings();
+    await loadPageSettings();
 });
 
+/**
+ * Load every section holding settings that belong to the active persona
+ */
+async function loadPersonaSections() {
+    await loadSavedSettings();
+    await loadRubric();
+    await loadWebhookSettings();
+    await loadNotificationSettings();
+}
+
 /**
  * Initialize DOM element references
  */
 function initializeElements() {
     modelProviderSelect = document.getElementById('model-provider');
     modelSelectionSelect = document.getElementById('model-selection');
-    apiKeyTextarea = document.getElementById('api-key');
+    apiKeyInput = document.getElementById('api-key');
+    apiKeyStatus = document.getElementById('api-key-status');
+    forgetApiKeyBtn = document.getElementById('forget-api-key');
+    keyStorageSection = document.getElementById('key-storage-section');
+    keyStorageStatus = document.getElementById('key-storage-status');
+    keyPassphraseGroup = document.getElementById('key-passphrase-group');
+    keyPassphraseInput = document.getElementById('key-passphrase');
+    keyPassphraseConfirmGroup = document.getElementById('key-passphrase-confirm-group');
+    keyPassphraseConfirmInput = document.getElementById('key-passphrase-confirm');
+    encryptKeysBtn = document.getElementById('encrypt-keys');
+    unlockKeysBtn = document.getElementById('unlock-keys');
+    lockKeysBtn = document.getElementById('lock-keys');
+    decryptKeysBtn = document.getElementById('decrypt-keys');
+    resetKeysBtn = document.getElementById('reset-keys');
+    apiKeyGroup = document.getElementById('api-key-group');
+    customBaseUrlGroup = document.getElementById('custom-base-url-group');
+    customBaseUrlInput = document.getElementById('custom-base-url');
+    fetchModelsBtn = document.getElementById('fetch-models');
+    localFirstCheckbox = document.getElementById('local-first');
+    localFirstGroup = document.getElementById('local-first-group');
+    queueConcurrencyInput = document.getElementById('queue-concurrency');
+    requestsPerMinuteInput = document.getElementById('requests-per-minute');
+    batchSizeInput = document.getElementById('batch-size');
     testConnectionBtn = document.getElementById('test-connection');
     saveSettingsBtn = document.getElementById('save-settings');
     statusMessage = document.getElementById('status-message');
     settingsForm = document.getElementById('settings-form');
+    rubricRulesContainer = document.getElementById('rubric-rules');
+    addRuleBtn = document.getElementById('add-rule');
+    resetRubricBtn = document.getElementById('reset-rubric');
+    saveRubricBtn = document.getElementById('save-rubric');
+    cacheStats = document.getElementById('cache-stats');
+    exampleStats = document.getElementById('example-stats');
+    fewShotTokenBudgetInput = document.getElementById('few-shot-token-budget');
+    saveExamplesBtn = document.getElementById('save-examples');
+    redactEmailsCheckbox = document.getElementById('redact-emails');
+    redactPhonesCheckbox = document.getElementById('redact-phones');
+    redactUrlsCheckbox = document.getElementById('redact-urls');
+    redactNamesCheckbox = document.getElementById('redact-names');
+    minimizeDataCheckbox = document.getElementById('minimize-data');
+    redactionPreviewSource = document.getElementById('redaction-preview-source');
+    redactionPreview = document.getElementById('redaction-preview');
+    savePrivacyBtn = document.getElementById('save-privacy');
+    transmissionLog = document.getElementById('transmission-log');
+    exportAuditLogBtn = document.getElementById('export-audit-log');
+    clearAuditLogBtn = document.getElementById('clear-audit-log');
+    clearCacheBtn = document.getElementById('clear-cache');
+    openHistoryBtn = document.getElementById('open-history');
+    openCalibrationBtn = document.getElementById('open-calibration');
+    usageToday = document.getElementById('usage-today');
+    usageMonth = document.getElementById('usage-month');
+    usageByModel = document.getElementById('usage-by-model');
+    monthlyBudgetInput = document.getElementById('monthly-budget');
+    priceRows = document.getElementById('price-rows');
+    clearUsageBtn = document.getElementById('clear-usage');
+    resetPricesBtn = document.getElementById('reset-prices');
+    saveUsageBtn = document.getElementById('save-usage');
+    webhookUrlInput = document.getElementById('webhook-url');
+    webhookThresholdInput = document.getElementById('webhook-threshold');
+    webhookSecretInput = document.getElementById('webhook-secret');
+    webhookHeadersTextarea = document.getElementById('webhook-headers');
+    testWebhookBtn = document.getElementById('test-webhook');
+    saveWebhookBtn = document.getElementById('save-webhook');
+    webhookLog = document.getElementById('webhook-log');
+    notifyEnabledCheckbox = document.getElementById('notify-enabled');
+    notifyThresholdInput = document.getElementById('notify-threshold');
+    quietHoursStartInput = document.getElementById('quiet-hours-start');
+    quietHoursEndInput = document.getElementById('quiet-hours-end');
+    saveNotificationsBtn = document.getElementById('save-notifications');
+    pageTogglesContainer = document.getElementById('page-toggles');
+    enrichProfilesCheckbox = document.getElementById('enrich-profiles');
+    savePagesBtn = document.getElementById('save-pages');
+    personaSelect = document.getElementById('persona-select');
+    deletePersonaBtn = document.getElementById('delete-persona');
+    newPersonaNameInput = document.getElementById('new-persona-name');
+    addPersonaBtn = document.getElementById('add-persona');
+    comparePersonasGroup = document.getElementById('compare-personas-group');
+    comparePersonasContainer = document.getElementById('compare-personas');
 }
 
 /**
  * Setup event listeners for form interactions
  */
 function setupEventListeners() {
+    // Persona handlers
+    personaSelect.addEventListener('change', handlePersonaChange);
+    addPersonaBtn.addEventListener('click', handleAddPersona);
+    deletePersonaBtn.addEventListener('click', handleDeletePersona);
+    comparePersonasContainer.addEventListener('change', handleComparePersonasChange);
+    
     // Model provider change handler
     modelProviderSelect.addEventListener('change', handleProviderChange);
     
+    // Model list for OpenAI-compatible servers
+    fetchModelsBtn.addEventListener('click', handleFetchModels);
+    customBaseUrlInput.addEventListener('input', clearStatusMessage);
+    
     // Test connection button
     testConnectionBtn.addEventListener('click', handleTestConnection);
     
@@ -60,9 +238,55 @@ function setupEventListeners() {
     settingsForm.addEventListener('submit', handleSaveSettings);
     
     // Clear status message when user starts typing
-    apiKeyTextarea.addEventListener('input', clearStatusMessage);
+    apiKeyInput.addEventListener('input', clearStatusMessage);
+    forgetApiKeyBtn.addEventListener('click', handleForgetApiKey);
+    
+    // API key storage
+    encryptKeysBtn.addEventListener('click', handleEncryptKeys);
+    unlockKeysBtn.addEventListener('click', handleUnlockKeys);
+    lockKeysBtn.addEventListener('click', handleLockKeys);
+    decryptKeysBtn.addEventListener('click', handleDecryptKeys);
+    resetKeysBtn.addEventListener('click', handleResetKeys);
     modelProviderSelect.addEventListener('change', clearStatusMessage);
     modelSelectionSelect.addEventListener('change', clearStatusMessage);
+    
+    // Rubric editor
+    addRuleBtn.addEventListener('click', handleAddRule);
+    resetRubricBtn.addEventListener('click', handleResetRubric);
+    saveRubricBtn.addEventListener('click', handleSaveRubric);
+    rubricRulesContainer.addEventListener('input', clearStatusMessage);
+    
+    // Score cache
+    clearCacheBtn.addEventListener('click', handleClearCache);
+    
+    // Few-shot examples
+    saveExamplesBtn.addEventListener('click', handleSaveExamples);
+    
+    // Privacy
+    [redactEmailsCheckbox, redactPhonesCheckbox, redactUrlsCheckbox, redactNamesCheckbox, minimizeDataCheckbox]
+        .forEach(checkbox => checkbox.addEventListener('change', renderRedactionPreview));
+    savePrivacyBtn.addEventListener('click', handleSavePrivacy);
+    exportAuditLogBtn.addEventListener('click', handleExportAuditLog);
+    clearAuditLogBtn.addEventListener('click', handleClearAuditLog);
+    
+    // Lead history page
+    openHistoryBtn.addEventListener('click', handleOpenHistory);
+    openCalibrationBtn.addEventListener('click', handleOpenCalibration);
+    
+    // Usage and cost
+    clearUsageBtn.addEventListener('click', handleClearUsage);
+    resetPricesBtn.addEventListener('click', handleResetPrices);
+    saveUsageBtn.addEventListener('click', handleSaveUsage);
+    
+    // Webhook
+    testWebhookBtn.addEventListener('click', handleTestWebhook);
+    saveWebhookBtn.addEventListener('click', handleSaveWebhook);
+    
+    // Hot lead alerts
+    saveNotificationsBtn.addEventListener('click', handleSaveNotifications);
+    
+    // Page toggle handlers
+    savePagesBtn.addEventListener('click', handleSavePages);
 }
 
 /**
@@ -71,6 +295,98 @@ function setupEventListeners() {
 function handleProviderChange() {
     const selectedProvider = modelProviderSelect.value;
     updateModelSelection(selectedProvider);
+    updateProviderFields(selectedProvider);
+}
+
+/**
+ * Check whether a provider needs an API key
+ */
+function providerRequiresApiKey(provider) {
+    return !PROVIDERS_WITHOUT_API_KEY.includes(provider) && !OPTIONAL_API_KEY_PROVIDERS.includes(provider);
+}
+
+/**
+ * Show or hide fields that only apply to some providers
+ */
+function updateProviderFields(provider) {
+    const usesLLM = !PROVIDERS_WITHOUT_API_KEY.includes(provider);
+    apiKeyGroup.style.display = usesLLM ? 'block' : 'none';
+    localFirstGroup.style.display = usesLLM ? 'block' : 'none';
+    customBaseUrlGroup.style.display = provider === 'custom' ? 'block' : 'none';
+    customBaseUrlInput.required = provider === 'custom';
+}
+
+/**
+ * Check that a custom server URL is an absolute http(s) URL
+ */
+function isValidServerUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Ask for access to a custom server's origin; must run inside a click handler
+ */
+async function requestServerPermission(serverUrl) {
+    const url = new URL(serverUrl);
+    return chrome.permissions.request({
+        origins: [`${url.protocol}//${url.hostname}/*`]
+    });
+}
+
+/**
+ * Handle fetch models button click for OpenAI-compatible servers
+ */
+async function handleFetchModels() {
+    const baseUrl = customBaseUrlInput.value.trim();
+    
+    if (!isValidServerUrl(baseUrl)) {
+        showStatusMessage('Enter a server URL such as http://localhost:11434', 'error');
+        return;
+    }
+    
+    setButtonLoading(fetchModelsBtn, true);
+    
+    try {
+        if (!await requestServerPermission(baseUrl)) {
+            showStatusMessage('Permission to contact the server was denied', 'error');
+            return;
+        }
+        
+        const response = await chrome.runtime.sendMessage({
+            type: 'listModels',
+            baseUrl: baseUrl,
+            apiKey: getEnteredApiKey()
+        });
+        
+        if (!response.success) {
+            showStatusMessage(`Could not load models: ${response.error}`, 'error');
+            return;
+        }
+        
+        if (response.models.length === 0) {
+            showStatusMessage('The server did not report any models', 'error');
+            return;
+        }
+        
+        const previousModel = modelSelectionSelect.value;
+        MODEL_CONFIGS.custom = response.models.map(id => ({ value: id, label: id }));
+        updateModelSelection('custom');
+        if (response.models.includes(previousModel)) {
+            modelSelectionSelect.value = previousModel;
+        }
+        
+        showStatusMessage(`Found ${response.models.length} ${response.models.length === 1 ? 'model' : 'models'}`, 'success');
+    } catch (error) {
+        console.error('Fetch models error:', error);
+        showStatusMessage('Error loading models', 'error');
+    } finally {
+        setButtonLoading(fetchModelsBtn, false);
+    }
 }
 
 /**
@@ -93,24 +409,161 @@ function updateModelSelection(provider) {
     }
 }
 
+/**
+ * Fill the persona dropdown and select the active persona
+ */
+async function loadPersonaSelector() {
+    try {
+        const personas = await loadPersonas();
+        const active = await loadActivePersona();
+        
+        personaSelect.innerHTML = '';
+        personas.forEach(persona => {
+            const option = document.createElement('option');
+            option.value = persona.id;
+            option.textContent = persona.name;
+            personaSelect.appendChild(option);
+        });
+        personaSelect.value = active.id;
+        deletePersonaBtn.disabled = active.id === DEFAULT_PERSONA.id;
+        
+        const compareIds = await loadComparePersonaIds();
+        comparePersonasContainer.innerHTML = '';
+        personas.filter(persona => persona.id !== active.id).forEach(persona => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = persona.id;
+            checkbox.checked = compareIds.includes(persona.id);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${persona.name}`));
+            comparePersonasContainer.appendChild(label);
+        });
+        comparePersonasGroup.hidden = personas.length < 2;
+    } catch (error) {
+        console.error('Error loading personas:', error);
+        showStatusMessage('Error loading personas', 'error');
+    }
+}
+
+/**
+ * Handle persona dropdown change; open LinkedIn tabs rescore for the new persona
+ */
+async function handlePersonaChange() {
+    try {
+        await setActivePersona(personaSelect.value);
+        await loadPersonaSelector();
+        await loadPersonaSections();
+        showStatusMessage(`Scoring as ${personaSelect.selectedOptions[0].textContent}`, 'success');
+    } catch (error) {
+        console.error('Error switching persona:', error);
+        showStatusMessage('Error switching persona', 'error');
+    }
+}
+
+/**
+ * Save which personas each card is also scored with
+ */
+async function handleComparePersonasChange(event) {
+    const checked = Array.from(comparePersonasContainer.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+    
+    if (checked.length > MAX_COMPARE_PERSONAS) {
+        event.target.checked = false;
+        showStatusMessage(`Compare with at most ${MAX_COMPARE_PERSONAS} personas`, 'error');
+        return;
+    }
+    
+    try {
+        await chrome.storage.sync.set({ comparePersonaIds: checked });
+        showStatusMessage(checked.length > 0 ? 'Cards will show a score per persona' : 'Cards will show the active persona only', 'success');
+    } catch (error) {
+        console.error('Error saving comparison personas:', error);
+        showStatusMessage('Error saving comparison personas', 'error');
+    }
+}
+
+/**
+ * Handle add persona button click; the new persona starts as a copy of the active one
+ */
+async function handleAddPersona() {
+    setButtonLoading(addPersonaBtn, true);
+    
+    try {
+        const previous = await loadActivePersona();
+        const personaId = await createPersona(newPersonaNameInput.value);
+        await copyApiKey(previous.id, personaId);
+        newPersonaNameInput.value = '';
+        await loadPersonaSelector();
+        await loadPersonaSections();
+        showStatusMessage('Persona added', 'success');
+    } catch (error) {
+        console.error('Error adding persona:', error);
+        showStatusMessage(error.message || 'Error adding persona', 'error');
+    } finally {
+        setButtonLoading(addPersonaBtn, false);
+    }
+}
+
+/**
+ * Handle delete persona button click
+ */
+async function handleDeletePersona() {
+    const name = personaSelect.selectedOptions[0].textContent;
+    if (!confirm(`Delete the persona "${name}"? Its rubric and settings will be lost.`)) {
+        return;
+    }
+    
+    try {
+        await deletePersona(personaSelect.value);
+        await loadPersonaSelector();
+        await loadPersonaSections();
+        showStatusMessage(`Deleted ${name}`, 'success');
+    } catch (error) {
+        console.error('Error deleting persona:', error);
+        showStatusMessage(error.message || 'Error deleting persona', 'error');
+    }
+}
+
 /**
  * Load saved settings from Chrome storage
  */
 async function loadSavedSettings() {
     try {
-        const result = await chrome.storage.sync.get(['modelProvider', 'modelSelection', 'apiKey']);
+        const persona = await loadActivePersona();
+        const result = {
+            ...await chrome.storage.sync.get(['queueConcurrency', 'requestsPerMinute', 'batchSize']),
+            ...persona.settings
+        };
         
-        if (result.modelProvider) {
-            modelProviderSelect.value = result.modelProvider;
-            updateModelSelection(result.modelProvider);
-            
-            if (result.modelSelection) {
-                modelSelectionSelect.value = result.modelSelection;
-            }
+        // Switching persona reloads this form, so clear what the new persona does not set
+        customBaseUrlInput.value = result.customBaseUrl || '';
+        
+        // Keep the saved custom model selectable until the list is fetched again
+        if (result.modelProvider === 'custom' && result.modelSelection) {
+            MODEL_CONFIGS.custom = [{ value: result.modelSelection, label: result.modelSelection }];
+        }
+        
+        modelProviderSelect.value = result.modelProvider || '';
+        updateModelSelection(result.modelProvider);
+        updateProviderFields(result.modelProvider);
+        
+        if (result.modelSelection) {
+            modelSelectionSelect.value = result.modelSelection;
         }
         
-        if (result.apiKey) {
-            apiKeyTextarea.value = result.apiKey;
+        apiKeyInput.value = '';
+        await loadApiKeyStatus(persona);
+        
+        localFirstCheckbox.checked = Boolean(result.localFirst);
+        
+        if (result.queueConcurrency) {
+            queueConcurrencyInput.value = result.queueConcurrency;
+        }
+        if (result.requestsPerMinute) {
+            requestsPerMinuteInput.value = result.requestsPerMinute;
+        }
+        if (result.batchSize) {
+            batchSizeInput.value = result.batchSize;
         }
     } catch (error) {
         console.error('Error loading settings:', error);
@@ -118,28 +571,227 @@ async function loadSavedSettings() {
     }
 }
 
+/**
+ * Show whether the active persona has a key saved, masked, without putting it in the key field
+ */
+async function loadApiKeyStatus(persona) {
+    hasSavedApiKey = await hasApiKey(persona.id, persona.settings);
+    savedApiKey = null;
+    if (hasSavedApiKey && (!await isKeyVaultEnabled() || await isKeyVaultUnlocked())) {
+        savedApiKey = await loadApiKey(persona.id, persona.settings);
+    }
+    
+    apiKeyInput.placeholder = hasSavedApiKey ? 'Leave blank to keep the saved key' : 'Enter your API key here...';
+    forgetApiKeyBtn.hidden = !hasSavedApiKey;
+    if (!hasSavedApiKey) {
+        apiKeyStatus.textContent = '';
+    } else if (savedApiKey) {
+        apiKeyStatus.textContent = `Saved key ${maskApiKey(savedApiKey)}`;
+    } else {
+        apiKeyStatus.textContent = 'Saved key is encrypted and locked';
+    }
+}
+
+/**
+ * Get the key typed in the key field, or the saved key when the field is blank
+ */
+function getEnteredApiKey() {
+    return apiKeyInput.value.trim() || savedApiKey || '';
+}
+
+/**
+ * Handle forget key button click, removing the active persona's saved key
+ */
+async function handleForgetApiKey() {
+    if (!confirm('Forget the saved API key? Scoring with this persona stops until a key is entered again.')) {
+        return;
+    }
+    
+    try {
+        const persona = await loadActivePersona();
+        await forgetApiKey(persona.id);
+        await loadApiKeyStatus(await loadActivePersona());
+        showStatusMessage('API key forgotten', 'success');
+    } catch (error) {
+        console.error('Error forgetting API key:', error);
+        showStatusMessage('Error forgetting API key', 'error');
+    }
+}
+
+/**
+ * Show the key storage controls that apply: encrypt when off, unlock when locked, lock or stop when unlocked
+ */
+async function loadKeyStorageState() {
+    try {
+        const enabled = await isKeyVaultEnabled();
+        const unlocked = enabled && await isKeyVaultUnlocked();
+        
+        if (!enabled) {
+            keyStorageStatus.textContent = 'API keys are saved in Chrome sync storage, which copies them to every browser signed in to your account. Encrypt them with a passphrase to keep them on this device only.';
+        } else if (unlocked) {
+            keyStorageStatus.textContent = 'API keys are encrypted on this device and unlocked until the browser closes.';
+        } else {
+            keyStorageStatus.textContent = 'API keys are encrypted on this device and locked. Enter your passphrase to score again.';
+        }
+        
+        keyPassphraseGroup.hidden = unlocked;
+        keyPassphraseConfirmGroup.hidden = enabled;
+        encryptKeysBtn.hidden = enabled;
+        unlockKeysBtn.hidden = !enabled || unlocked;
+        resetKeysBtn.hidden = !enabled || unlocked;
+        lockKeysBtn.hidden = !unlocked;
+        decryptKeysBtn.hidden = !unlocked;
+        
+        // Scoring stops while locked, so bring the unlock field into view
+        if (enabled && !unlocked) {
+            keyStorageSection.open = true;
+        }
+    } catch (error) {
+        console.error('Error loading key storage:', error);
+        showStatusMessage('Error loading key storage', 'error');
+    }
+}
+
+/**
+ * Reload the key storage controls and the key field after the storage mode or lock changes
+ */
+async function refreshKeyStorage() {
+    keyPassphraseInput.value = '';
+    keyPassphraseConfirmInput.value = '';
+    await loadKeyStorageState();
+    await loadApiKeyStatus(await loadActivePersona());
+}
+
+/**
+ * Handle encrypt keys button click
+ */
+async function handleEncryptKeys() {
+    if (keyPassphraseInput.value !== keyPassphraseConfirmInput.value) {
+        showStatusMessage('The passphrases do not match', 'error');
+        return;
+    }
+    
+    setButtonLoading(encryptKeysBtn, true);
+    
+    try {
+        await enableKeyVault(keyPassphraseInput.value);
+        await refreshKeyStorage();
+        showStatusMessage('API keys encrypted and removed from sync storage', 'success');
+    } catch (error) {
+        console.error('Error encrypting API keys:', error);
+        showStatusMessage(error.message || 'Error encrypting API keys', 'error');
+    } finally {
+        setButtonLoading(encryptKeysBtn, false);
+    }
+}
+
+/**
+ * Handle unlock button click
+ */
+async function handleUnlockKeys() {
+    setButtonLoading(unlockKeysBtn, true);
+    
+    try {
+        await unlockKeyVault(keyPassphraseInput.value);
+        await refreshKeyStorage();
+        showStatusMessage('API keys unlocked', 'success');
+    } catch (error) {
+        console.error('Error unlocking API keys:', error);
+        showStatusMessage(error.message || 'Error unlocking API keys', 'error');
+    } finally {
+        setButtonLoading(unlockKeysBtn, false);
+    }
+}
+
+/**
+ * Handle lock now button click
+ */
+async function handleLockKeys() {
+    try {
+        await lockKeyVault();
+        await refreshKeyStorage();
+        showStatusMessage('API keys locked', 'success');
+    } catch (error) {
+        console.error('Error locking API keys:', error);
+        showStatusMessage('Error locking API keys', 'error');
+    }
+}
+
+/**
+ * Handle stop encrypting button click, moving the keys back to sync storage
+ */
+async function handleDecryptKeys() {
+    if (!confirm('Move your API keys back to Chrome sync storage? They will be copied to every browser signed in to your account.')) {
+        return;
+    }
+    
+    try {
+        await disableKeyVault();
+        await refreshKeyStorage();
+        showStatusMessage('API keys moved back to sync storage', 'success');
+    } catch (error) {
+        console.error('Error decrypting API keys:', error);
+        showStatusMessage(error.message || 'Error decrypting API keys', 'error');
+    }
+}
+
+/**
+ * Handle forgot passphrase button click, deleting the encrypted keys
+ */
+async function handleResetKeys() {
+    if (!confirm('Delete the encrypted API keys? You will need to enter each persona\'s key again.')) {
+        return;
+    }
+    
+    try {
+        await removeKeyVault();
+        await refreshKeyStorage();
+        showStatusMessage('Encrypted API keys deleted', 'success');
+    } catch (error) {
+        console.error('Error deleting API keys:', error);
+        showStatusMessage('Error deleting API keys', 'error');
+    }
+}
+
 /**
  * Handle test connection button click
  */
 async function handleTestConnection() {
     const provider = modelProviderSelect.value;
     const model = modelSelectionSelect.value;
-    const apiKey = apiKeyTextarea.value.trim();
+    const apiKey = getEnteredApiKey();
+    const baseUrl = customBaseUrlInput.value.trim();
+    
+    if (providerRequiresApiKey(provider) && !apiKey && hasSavedApiKey) {
+        showStatusMessage('Unlock your API keys under API Key Storage first', 'error');
+        return;
+    }
     
-    if (!provider || !model || !apiKey) {
+    if (!provider || !model || (providerRequiresApiKey(provider) && !apiKey)) {
         showStatusMessage('Please fill in all fields before testing', 'error');
         return;
     }
     
+    if (provider === 'custom' && !isValidServerUrl(baseUrl)) {
+        showStatusMessage('Enter a valid server URL', 'error');
+        return;
+    }
+    
     setButtonLoading(testConnectionBtn, true);
     
     try {
+        if (provider === 'custom' && !await requestServerPermission(baseUrl)) {
+            showStatusMessage('Permission to contact the server was denied', 'error');
+            return;
+        }
+        
         // Send message to background script to test connection
         const response = await chrome.runtime.sendMessage({
             type: 'testConnection',
             provider: provider,
             model: model,
-            apiKey: apiKey
+            apiKey: apiKey,
+            baseUrl: baseUrl
         });
         
         if (response.success) {
@@ -163,20 +815,59 @@ async function handleSaveSettings(event) {
     
     const provider = modelProviderSelect.value;
     const model = modelSelectionSelect.value;
-    const apiKey = apiKeyTextarea.value.trim();
+    // A blank key field keeps the saved key
+    const apiKey = apiKeyInput.value.trim();
+    const baseUrl = customBaseUrlInput.value.trim();
     
-    if (!provider || !model || !apiKey) {
+    if (!provider || !model || (providerRequiresApiKey(provider) && !apiKey && !hasSavedApiKey)) {
         showStatusMessage('Please fill in all fields', 'error');
         return;
     }
     
+    if (provider === 'custom' && !isValidServerUrl(baseUrl)) {
+        showStatusMessage('Enter a valid server URL', 'error');
+        return;
+    }
+    
+    const queueConcurrency = readOptionalInteger(queueConcurrencyInput, 1, 10);
+    const requestsPerMinute = readOptionalInteger(requestsPerMinuteInput, 1, 600);
+    const batchSize = readOptionalInteger(batchSizeInput, 1, 10);
+    
+    if (Number.isNaN(queueConcurrency) || Number.isNaN(requestsPerMinute)) {
+        showStatusMessage('Parallel requests must be 1-10 and requests per minute 1-600', 'error');
+        return;
+    }
+    
+    if (Number.isNaN(batchSize)) {
+        showStatusMessage('Profiles per request must be between 1 and 10', 'error');
+        return;
+    }
+    
     setButtonLoading(saveSettingsBtn, true);
     
     try {
-        await chrome.storage.sync.set({
+        if (provider === 'custom' && !await requestServerPermission(baseUrl)) {
+            showStatusMessage('Permission to contact the server was denied', 'error');
+            return;
+        }
+        
+        const persona = await loadActivePersona();
+        if (apiKey) {
+            await saveApiKey(persona.id, apiKey);
+        }
+        
+        await savePersonaSettings(persona.id, {
             modelProvider: provider,
             modelSelection: model,
-            apiKey: apiKey
+            customBaseUrl: baseUrl,
+            localFirst: localFirstCheckbox.checked
+        });
+        
+        // Queue limits and batching are shared by all personas
+        await chrome.storage.sync.set({
+            queueConcurrency: queueConcurrency,
+            requestsPerMinute: requestsPerMinute,
+            batchSize: batchSize
         });
         
         showStatusMessage('Settings saved successfully!', 'success');
@@ -188,12 +879,868 @@ async function handleSaveSettings(event) {
         
     } catch (error) {
         console.error('Error saving settings:', error);
-        showStatusMessage('Error saving settings', 'error');
+        showStatusMessage(error.message || 'Error saving settings', 'error');
     } finally {
         setButtonLoading(saveSettingsBtn, false);
     }
 }
 
+/**
+ * Read an optional whole number from an input; null when empty, NaN when out of range
+ */
+function readOptionalInteger(input, min, max) {
+    if (input.value.trim() === '') {
+        return null;
+    }
+    
+    const value = Number(input.value);
+    return Number.isInteger(value) && value >= min && value <= max ? value : NaN;
+}
+
+/**
+ * Load the saved scoring rubric into the editor
+ */
+async function loadRubric() {
+    try {
+        renderRubricEditor(await loadScoringRubric());
+    } catch (error) {
+        console.error('Error loading rubric:', error);
+        showStatusMessage('Error loading scoring rubric', 'error');
+    }
+}
+
+/**
+ * Render all rubric rules into the editor
+ */
+function renderRubricEditor(rubric) {
+    rubricRulesContainer.innerHTML = '';
+    rubric.rules.forEach(rule => {
+        rubricRulesContainer.appendChild(createRuleRow(rule));
+    });
+}
+
+/**
+ * Create an editable row for a single rubric rule
+ */
+function createRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'rubric-rule';
+    row.dataset.ruleId = rule.id;
+    
+    const header = document.createElement('div');
+    header.className = 'rubric-rule-header';
+    
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'rule-label';
+    labelInput.placeholder = 'Rule name';
+    labelInput.value = rule.label;
+    
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'rule-type';
+    Object.entries(RULE_TYPES).forEach(([value, type]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = type.label;
+        typeSelect.appendChild(option);
+    });
+    typeSelect.value = rule.type;
+    
+    const pointsInput = document.createElement('input');
+    pointsInput.type = 'number';
+    pointsInput.step = '1';
+    pointsInput.className = 'rule-points';
+    pointsInput.title = 'Points (negative to penalise)';
+    pointsInput.value = rule.points;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'rule-remove';
+    removeBtn.title = 'Remove rule';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => row.remove());
+    
+    const termsInput = document.createElement('textarea');
+    termsInput.className = 'rule-terms';
+    termsInput.placeholder = 'Comma-separated terms, e.g. Founder, Investor';
+    termsInput.value = (rule.terms || []).join(', ');
+    
+    // Profile picture rules have no terms to match
+    const updateTermsVisibility = () => {
+        termsInput.style.display = RULE_TYPES[typeSelect.value].usesTerms ? 'block' : 'none';
+    };
+    typeSelect.addEventListener('change', updateTermsVisibility);
+    updateTermsVisibility();
+    
+    header.append(labelInput, typeSelect, pointsInput, removeBtn);
+    row.append(header, termsInput);
+    
+    return row;
+}
+
+/**
+ * Read the rubric currently shown in the editor
+ */
+function readRubricFromEditor() {
+    const rules = Array.from(rubricRulesContainer.querySelectorAll('.rubric-rule')).map(row => {
+        const type = row.querySelector('.rule-type').value;
+        const terms = RULE_TYPES[type].usesTerms
+            ? row.querySelector('.rule-terms').value.split(',').map(term => term.trim()).filter(Boolean)
+            : [];
+        
+        return {
+            id: row.dataset.ruleId,
+            label: row.querySelector('.rule-label').value.trim(),
+            type: type,
+            points: Number(row.querySelector('.rule-points').value),
+            terms: terms
+        };
+    });
+    
+    return { rules: rules };
+}
+
+/**
+ * Handle add rule button click
+ */
+function handleAddRule() {
+    const row = createRuleRow({
+        id: createRuleId(),
+        label: '',
+        type: 'keywords',
+        points: 5,
+        terms: []
+    });
+    rubricRulesContainer.appendChild(row);
+    row.querySelector('.rule-label').focus();
+}
+
+/**
+ * Handle reset to default button click
+ */
+async function handleResetRubric() {
+    if (!confirm('Replace your rubric with the default rules?')) {
+        return;
+    }
+    
+    try {
+        await saveActivePersonaSettings({ scoringRubric: null });
+        renderRubricEditor(DEFAULT_RUBRIC);
+        showStatusMessage('Rubric reset to default', 'success');
+    } catch (error) {
+        console.error('Error resetting rubric:', error);
+        showStatusMessage('Error resetting rubric', 'error');
+    }
+}
+
+/**
+ * Handle save rubric button click
+ */
+async function handleSaveRubric() {
+    const rubric = readRubricFromEditor();
+    const errors = validateRubric(rubric);
+    
+    if (errors.length > 0) {
+        showStatusMessage(errors.join('\n'), 'error');
+        return;
+    }
+    
+    setButtonLoading(saveRubricBtn, true);
+    
+    try {
+        await saveActivePersonaSettings({ scoringRubric: rubric });
+        showStatusMessage('Rubric saved successfully!', 'success');
+    } catch (error) {
+        console.error('Error saving rubric:', error);
+        showStatusMessage('Error saving rubric', 'error');
+    } finally {
+        setButtonLoading(saveRubricBtn, false);
+    }
+}
+
+/**
+ * Show how many profiles are in the score cache
+ */
+async function loadCacheStats() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'getCacheStats' });
+        if (response.success) {
+            cacheStats.textContent = `${response.profiles} ${response.profiles === 1 ? 'profile' : 'profiles'} cached`;
+        }
+    } catch (error) {
+        console.error('Error loading cache stats:', error);
+    }
+}
+
+/**
+ * Load the number of pinned examples and the token budget they share
+ */
+async function loadExampleSettings() {
+    try {
+        const examples = await loadFewShotExamples();
+        const { fewShotTokenBudget } = await chrome.storage.sync.get('fewShotTokenBudget');
+        exampleStats.textContent = `${examples.length} ${examples.length === 1 ? 'example' : 'examples'} pinned`;
+        fewShotTokenBudgetInput.value = fewShotTokenBudget ?? '';
+    } catch (error) {
+        console.error('Error loading example settings:', error);
+        showStatusMessage('Error loading example settings', 'error');
+    }
+}
+
+/**
+ * Handle save examples button click
+ */
+async function handleSaveExamples() {
+    const tokenBudget = readOptionalInteger(fewShotTokenBudgetInput, 0, MAX_FEW_SHOT_TOKEN_BUDGET);
+    
+    if (Number.isNaN(tokenBudget)) {
+        showStatusMessage(`Example token budget must be a whole number from 0 to ${MAX_FEW_SHOT_TOKEN_BUDGET}`, 'error');
+        return;
+    }
+    
+    setButtonLoading(saveExamplesBtn, true);
+    
+    try {
+        await chrome.storage.sync.set({ fewShotTokenBudget: tokenBudget });
+        
+        showStatusMessage('Example settings saved', 'success');
+    } catch (error) {
+        console.error('Error saving example settings:', error);
+        showStatusMessage('Error saving example settings', 'error');
+    } finally {
+        setButtonLoading(saveExamplesBtn, false);
+    }
+}
+
+/**
+ * Load redaction settings, the card the preview is built from and the audit log
+ */
+async function loadPrivacySettings() {
+    try {
+        const settings = await loadRedactionSettings();
+        redactEmailsCheckbox.checked = settings.emails;
+        redactPhonesCheckbox.checked = settings.phones;
+        redactUrlsCheckbox.checked = settings.urls;
+        redactNamesCheckbox.checked = settings.names;
+        minimizeDataCheckbox.checked = settings.minimize;
+        
+        const leads = await loadLeadHistory();
+        const latest = leads.reduce((newest, lead) => (!newest || lead.scoredAt > newest.scoredAt ? lead : newest), null);
+        previewProfile = latest ? latest.profile : SAMPLE_PREVIEW_PROFILE;
+        redactionPreviewSource.textContent = latest
+            ? 'What the last scored card sends with these settings:'
+            : 'What a sample card sends with these settings:';
+        renderRedactionPreview();
+        
+        await loadTransmissionLog();
+    } catch (error) {
+        console.error('Error loading privacy settings:', error);
+        showStatusMessage('Error loading privacy settings', 'error');
+    }
+}
+
+/**
+ * Read the redaction checkboxes
+ */
+function readRedactionForm() {
+    return {
+        emails: redactEmailsCheckbox.checked,
+        phones: redactPhonesCheckbox.checked,
+        urls: redactUrlsCheckbox.checked,
+        names: redactNamesCheckbox.checked,
+        minimize: minimizeDataCheckbox.checked
+    };
+}
+
+/**
+ * Show the profile part of the prompt exactly as the preview card would be sent with the ticked options
+ */
+function renderRedactionPreview() {
+    const { profile, counts } = redactProfileData(previewProfile, readRedactionForm());
+    redactionPreview.textContent = `Profile Data:\n${formatProfileData(profile)}\n\nMasked: ${describeRedactionCounts(counts)}`;
+}
+
+/**
+ * Handle save privacy button click
+ */
+async function handleSavePrivacy() {
+    setButtonLoading(savePrivacyBtn, true);
+    
+    try {
+        await chrome.storage.sync.set({ redaction: readRedactionForm() });
+        showStatusMessage('Privacy settings saved', 'success');
+    } catch (error) {
+        console.error('Error saving privacy settings:', error);
+        showStatusMessage('Error saving privacy settings', 'error');
+    } finally {
+        setButtonLoading(savePrivacyBtn, false);
+    }
+}
+
+/**
+ * Show the most recent requests in the audit log, newest first
+ */
+async function loadTransmissionLog() {
+    const response = await chrome.runtime.sendMessage({ type: 'getTransmissionLog' });
+    if (!response.success) {
+        return;
+    }
+    
+    transmissionLog.innerHTML = '';
+    response.log.slice(-10).reverse().forEach(entry => {
+        const item = document.createElement('li');
+        const profiles = `${entry.profileKeys.length} ${entry.profileKeys.length === 1 ? 'profile' : 'profiles'}`;
+        item.textContent = `${new Date(entry.at).toLocaleString()} - ${entry.provider} ${entry.model}, ${profiles}, masked ${describeRedactionCounts(entry.redacted)}`;
+        item.title = entry.content;
+        transmissionLog.appendChild(item);
+    });
+    
+    if (response.log.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No requests yet';
+        transmissionLog.appendChild(item);
+    }
+}
+
+/**
+ * Handle export audit log button click: download every logged request as JSON
+ */
+async function handleExportAuditLog() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'getTransmissionLog' });
+        if (!response.success) {
+            showStatusMessage(`Error exporting audit log: ${response.error}`, 'error');
+            return;
+        }
+        
+        const entries = response.log.map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }));
+        const url = URL.createObjectURL(new Blob([JSON.stringify(entries, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `llm-audit-log-${new Date().toISOString().substring(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        showStatusMessage('Error exporting audit log', 'error');
+    }
+}
+
+/**
+ * Handle clear audit log button click
+ */
+async function handleClearAuditLog() {
+    if (!confirm('Delete the record of what was sent to the model?')) {
+        return;
+    }
+    
+    setButtonLoading(clearAuditLogBtn, true);
+    
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'clearTransmissionLog' });
+        
+        if (response.success) {
+            showStatusMessage('Audit log cleared', 'success');
+            await loadTransmissionLog();
+        } else {
+            showStatusMessage(`Error clearing audit log: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('Clear audit log error:', error);
+        showStatusMessage('Error clearing audit log', 'error');
+    } finally {
+        setButtonLoading(clearAuditLogBtn, false);
+    }
+}
+
+/**
+ * Handle clear cache button click
+ */
+async function handleClearCache() {
+    setButtonLoading(clearCacheBtn, true);
+    
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'clearScoreCache' });
+        
+        if (response.success) {
+            showStatusMessage(`Cleared ${response.cleared} cached ${response.cleared === 1 ? 'score' : 'scores'}`, 'success');
+            await loadCacheStats();
+        } else {
+            showStatusMessage(`Error clearing cache: ${response.error}`, 'error');
+        }
+    } catch (error) {
+        console.error('Clear cache error:', error);
+        showStatusMessage('Error clearing cache', 'error');
+    } finally {
+        setButtonLoading(clearCacheBtn, false);
+    }
+}
+
+/**
+ * Load the usage totals, monthly budget and model prices
+ */
+async function loadUsageSettings() {
+    try {
+        const budget = await loadMonthlyBudget();
+        const totals = await loadUsageTotals();
+        monthlyBudgetInput.value = budget ?? '';
+        renderUsageTotals(totals, budget);
+        renderPriceTable(await loadModelPrices(), Object.keys(totals.month.models));
+    } catch (error) {
+        console.error('Error loading usage:', error);
+        showStatusMessage('Error loading usage', 'error');
+    }
+}
+
+/**
+ * Show today's and this month's totals, and this month's cost per model
+ */
+function renderUsageTotals(totals, budget) {
+    const describe = (summary) => `${formatCost(summary.cost)} - ${summary.requests} ${summary.requests === 1 ? 'request' : 'requests'}, ${(summary.inputTokens + summary.outputTokens).toLocaleString()} tokens`;
+    usageToday.textContent = `Today: ${describe(totals.today)}`;
+    const paused = budget && totals.month.cost >= budget ? ', scoring paused' : '';
+    usageMonth.textContent = `This month: ${describe(totals.month)}${budget ? ` of a ${formatCost(budget)} budget${paused}` : ''}`;
+    
+    usageByModel.innerHTML = '';
+    Object.entries(totals.month.models)
+        .sort(([, a], [, b]) => b.cost - a.cost)
+        .forEach(([modelKey, summary]) => {
+            const item = document.createElement('li');
+            item.textContent = `${getModelLabel(modelKey)}: ${formatCost(summary.cost)} (${summary.inputTokens.toLocaleString()} in, ${summary.outputTokens.toLocaleString()} out)`;
+            usageByModel.appendChild(item);
+        });
+    
+    if (usageByModel.children.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No requests this month';
+        usageByModel.appendChild(item);
+    }
+}
+
+/**
+ * Get the display name of a model from its usage key, e.g. "GPT-4o Mini" or "llama3 (localhost:11434)"
+ */
+function getModelLabel(modelKey) {
+    const { provider, model, server } = parseUsageModelKey(modelKey);
+    const config = (MODEL_CONFIGS[provider] || []).find(entry => entry.value === model);
+    const label = config ? config.label : model;
+    return server ? `${label} (${getServerHost(server)})` : label;
+}
+
+/**
+ * Get the host of a server URL for display, or the URL itself when it cannot be parsed
+ */
+function getServerHost(server) {
+    try {
+        return new URL(server).host;
+    } catch (error) {
+        return server;
+    }
+}
+
+/**
+ * Render a price row for each listed model, plus any other model used this month (e.g. custom servers)
+ */
+function renderPriceTable(prices, usedModelKeys) {
+    const modelKeys = Object.keys(getDefaultModelPrices());
+    usedModelKeys.filter(modelKey => !modelKeys.includes(modelKey)).forEach(modelKey => modelKeys.push(modelKey));
+    
+    priceRows.innerHTML = '';
+    modelKeys.forEach(modelKey => {
+        const row = document.createElement('tr');
+        row.dataset.modelKey = modelKey;
+        
+        const labelCell = document.createElement('td');
+        labelCell.textContent = getModelLabel(modelKey);
+        row.appendChild(labelCell);
+        
+        ['input', 'output'].forEach(kind => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = String(MAX_MODEL_PRICE);
+            input.step = 'any';
+            input.placeholder = '0';
+            input.dataset.price = kind;
+            input.value = prices[modelKey] ? prices[modelKey][kind] : '';
+            cell.appendChild(input);
+            row.appendChild(cell);
+        });
+        
+        priceRows.appendChild(row);
+    });
+}
+
+/**
+ * Read the price table; returns null and shows an error when a price is invalid
+ */
+function readPriceTable() {
+    const prices = {};
+    
+    for (const row of priceRows.querySelectorAll('tr')) {
+        const price = {};
+        for (const input of row.querySelectorAll('input[data-price]')) {
+            const value = input.value.trim() === '' ? 0 : Number(input.value);
+            if (!Number.isFinite(value) || value < 0 || value > MAX_MODEL_PRICE) {
+                showStatusMessage(`Prices must be numbers from 0 to ${MAX_MODEL_PRICE}`, 'error');
+                return null;
+            }
+            price[input.dataset.price] = value;
+        }
+        prices[row.dataset.modelKey] = price;
+    }
+    
+    return prices;
+}
+
+/**
+ * Handle save usage button click; only prices that differ from the list price are stored
+ */
+async function handleSaveUsage() {
+    const budgetText = monthlyBudgetInput.value.trim();
+    const budget = budgetText === '' ? null : Number(budgetText);
+    
+    if (budget !== null && !(budget > 0 && budget <= MAX_MONTHLY_BUDGET)) {
+        showStatusMessage(`Monthly budget must be more than 0 and at most ${MAX_MONTHLY_BUDGET}`, 'error');
+        return;
+    }
+    
+    const prices = readPriceTable();
+    if (!prices) {
+        return;
+    }
+    
+    const defaults = getDefaultModelPrices();
+    const changed = {};
+    Object.entries(prices).forEach(([modelKey, price]) => {
+        const listPrice = defaults[modelKey] || { input: 0, output: 0 };
+        if (price.input !== listPrice.input || price.output !== listPrice.output) {
+            changed[modelKey] = price;
+        }
+    });
+    
+    setButtonLoading(saveUsageBtn, true);
+    
+    try {
+        await chrome.storage.sync.set({ monthlyBudget: budget, modelPrices: changed });
+        await loadUsageSettings();
+        showStatusMessage('Usage settings saved', 'success');
+    } catch (error) {
+        console.error('Error saving usage settings:', error);
+        showStatusMessage('Error saving usage settings', 'error');
+    } finally {
+        setButtonLoading(saveUsageBtn, false);
+    }
+}
+
+/**
+ * Handle reset prices button click: go back to the list prices in MODEL_CONFIGS
+ */
+async function handleResetPrices() {
+    try {
+        await chrome.storage.sync.remove('modelPrices');
+        await loadUsageSettings();
+        showStatusMessage('Prices reset to list prices', 'success');
+    } catch (error) {
+        console.error('Error resetting prices:', error);
+        showStatusMessage('Error resetting prices', 'error');
+    }
+}
+
+/**
+ * Handle clear usage button click
+ */
+async function handleClearUsage() {
+    if (!confirm('Delete all recorded usage? This month\'s total starts again from zero, which also resets the budget.')) {
+        return;
+    }
+    
+    setButtonLoading(clearUsageBtn, true);
+    
+    try {
+        await clearUsageLog();
+        await loadUsageSettings();
+        showStatusMessage('Usage cleared', 'success');
+    } catch (error) {
+        console.error('Error clearing usage:', error);
+        showStatusMessage('Error clearing usage', 'error');
+    } finally {
+        setButtonLoading(clearUsageBtn, false);
+    }
+}
+
+/**
+ * Load saved webhook settings and the delivery log
+ */
+async function loadWebhookSettings() {
+    try {
+        const config = await loadWebhookConfig();
+        webhookUrlInput.value = config.url;
+        webhookThresholdInput.value = config.threshold;
+        webhookSecretInput.value = config.secret;
+        webhookHeadersTextarea.value = config.headers;
+        await loadWebhookLog();
+    } catch (error) {
+        console.error('Error loading webhook settings:', error);
+        showStatusMessage('Error loading webhook settings', 'error');
+    }
+}
+
+/**
+ * Show the most recent webhook deliveries, newest first
+ */
+async function loadWebhookLog() {
+    const response = await chrome.runtime.sendMessage({ type: 'getWebhookLog' });
+    if (!response.success) {
+        return;
+    }
+    
+    webhookLog.innerHTML = '';
+    response.log.slice(-10).reverse().forEach(entry => {
+        const item = document.createElement('li');
+        const outcome = entry.ok ? `sent (${entry.status})` : `failed: ${entry.error}`;
+        const tries = entry.attempts > 1 ? `, ${entry.attempts} attempts` : '';
+        item.textContent = `${new Date(entry.at).toLocaleString()} - ${entry.event === 'test' ? 'Test event' : entry.name} (${entry.score}) ${outcome}${tries}`;
+        item.className = entry.ok ? '' : 'failed';
+        webhookLog.appendChild(item);
+    });
+    
+    if (response.log.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No deliveries yet';
+        webhookLog.appendChild(item);
+    }
+}
+
+/**
+ * Read and validate the webhook form; returns null and shows an error when invalid
+ */
+function readWebhookForm() {
+    const url = webhookUrlInput.value.trim();
+    const threshold = readOptionalInteger(webhookThresholdInput, -10000, 10000);
+    const headers = webhookHeadersTextarea.value.trim();
+    
+    if (url && !isValidServerUrl(url)) {
+        showStatusMessage('Enter a valid webhook URL', 'error');
+        return null;
+    }
+    
+    if (Number.isNaN(threshold)) {
+        showStatusMessage('Minimum score must be a whole number', 'error');
+        return null;
+    }
+    
+    try {
+        parseWebhookHeaders(headers);
+    } catch (error) {
+        showStatusMessage(error.message, 'error');
+        return null;
+    }
+    
+    return {
+        url: url,
+        threshold: threshold ?? WEBHOOK_DEFAULTS.threshold,
+        secret: webhookSecretInput.value,
+        headers: headers
+    };
+}
+
+/**
+ * Handle send test event button click
+ */
+async function handleTestWebhook() {
+    const config = readWebhookForm();
+    if (!config) {
+        return;
+    }
+    
+    if (!config.url) {
+        showStatusMessage('Enter a webhook URL before testing', 'error');
+        return;
+    }
+    
+    setButtonLoading(testWebhookBtn, true);
+    
+    try {
+        if (!await requestServerPermission(config.url)) {
+            showStatusMessage('Permission to contact the webhook URL was denied', 'error');
+            return;
+        }
+        
+        const response = await chrome.runtime.sendMessage({ type: 'testWebhook', ...config });
+        
+        if (response.success) {
+            showStatusMessage(`Test event delivered (HTTP ${response.status})`, 'success');
+        } else {
+            showStatusMessage(`Test event failed: ${response.error}`, 'error');
+        }
+        await loadWebhookLog();
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        showStatusMessage('Error sending test event', 'error');
+    } finally {
+        setButtonLoading(testWebhookBtn, false);
+    }
+}
+
+/**
+ * Handle save webhook button click; an empty URL turns the webhook off
+ */
+async function handleSaveWebhook() {
+    const config = readWebhookForm();
+    if (!config) {
+        return;
+    }
+    
+    setButtonLoading(saveWebhookBtn, true);
+    
+    try {
+        if (config.url && !await requestServerPermission(config.url)) {
+            showStatusMessage('Permission to contact the webhook URL was denied', 'error');
+            return;
+        }
+        
+        await saveActivePersonaSettings({ webhookThreshold: config.threshold });
+        await chrome.storage.sync.set({
+            webhookUrl: config.url,
+            webhookSecret: config.secret,
+            webhookHeaders: config.headers
+        });
+        
+        showStatusMessage(config.url ? 'Webhook saved' : 'Webhook turned off', 'success');
+    } catch (error) {
+        console.error('Error saving webhook:', error);
+        showStatusMessage('Error saving webhook', 'error');
+    } finally {
+        setButtonLoading(saveWebhookBtn, false);
+    }
+}
+
+/**
+ * Load saved hot lead alert settings
+ */
+async function loadNotificationSettings() {
+    try {
+        const settings = await chrome.storage.sync.get(['notifyEnabled', 'quietHoursStart', 'quietHoursEnd']);
+        const persona = await loadActivePersona();
+        notifyEnabledCheckbox.checked = Boolean(settings.notifyEnabled);
+        notifyThresholdInput.value = persona.settings.notifyThreshold ?? '';
+        quietHoursStartInput.value = settings.quietHoursStart || '';
+        quietHoursEndInput.value = settings.quietHoursEnd || '';
+    } catch (error) {
+        console.error('Error loading alert settings:', error);
+        showStatusMessage('Error loading alert settings', 'error');
+    }
+}
+
+/**
+ * Handle save alerts button click
+ */
+async function handleSaveNotifications() {
+    const threshold = readOptionalInteger(notifyThresholdInput, -10000, 10000);
+    const quietStart = quietHoursStartInput.value;
+    const quietEnd = quietHoursEndInput.value;
+    
+    if (Number.isNaN(threshold)) {
+        showStatusMessage('Hot lead score must be a whole number', 'error');
+        return;
+    }
+    
+    if (Boolean(quietStart) !== Boolean(quietEnd)) {
+        showStatusMessage('Set both ends of the quiet hours, or neither', 'error');
+        return;
+    }
+    
+    setButtonLoading(saveNotificationsBtn, true);
+    
+    try {
+        await saveActivePersonaSettings({ notifyThreshold: threshold });
+        await chrome.storage.sync.set({
+            notifyEnabled: notifyEnabledCheckbox.checked,
+            quietHoursStart: quietStart,
+            quietHoursEnd: quietEnd
+        });
+        
+        showStatusMessage('Alert settings saved', 'success');
+    } catch (error) {
+        console.error('Error saving alert settings:', error);
+        showStatusMessage('Error saving alert settings', 'error');
+    } finally {
+        setButtonLoading(saveNotificationsBtn, false);
+    }
+}
+
+/**
+ * Load which pages are scored and render a toggle per page adapter
+ */
+async function loadPageSettings() {
+    try {
+        const enabledPages = await loadEnabledPages();
+        const { enrichProfiles } = await chrome.storage.sync.get('enrichProfiles');
+        enrichProfilesCheckbox.checked = Boolean(enrichProfiles);
+        pageTogglesContainer.innerHTML = '';
+        
+        Object.entries(PAGE_ADAPTERS).forEach(([name, adapter]) => {
+            const group = document.createElement('div');
+            group.className = 'form-group checkbox-group';
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.page = name;
+            checkbox.checked = enabledPages[name];
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${adapter.label}`));
+            
+            group.appendChild(label);
+            pageTogglesContainer.appendChild(group);
+        });
+    } catch (error) {
+        console.error('Error loading page settings:', error);
+        showStatusMessage('Error loading page settings', 'error');
+    }
+}
+
+/**
+ * Handle save pages button click
+ */
+async function handleSavePages() {
+    const enabledPages = {};
+    pageTogglesContainer.querySelectorAll('input[data-page]').forEach(checkbox => {
+        enabledPages[checkbox.dataset.page] = checkbox.checked;
+    });
+    
+    setButtonLoading(savePagesBtn, true);
+    
+    try {
+        await chrome.storage.sync.set({
+            enabledPages: enabledPages,
+            enrichProfiles: enrichProfilesCheckbox.checked
+        });
+        showStatusMessage('Page settings saved', 'success');
+    } catch (error) {
+        console.error('Error saving page settings:', error);
+        showStatusMessage('Error saving page settings', 'error');
+    } finally {
+        setButtonLoading(savePagesBtn, false);
+    }
+}
+
+/**
+ * Open the scored-leads history page in a new tab
+ */
+function handleOpenHistory() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+}
+
+/**
+ * Open the calibration page, which compares scores with accept/ignore decisions, in a new tab
+ */
+function handleOpenCalibration() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('calibration/calibration.html') });
+}
+
 /**
  * Show status message with specified type
  */
@@ -1,6 +1,8 @@
 // Background service worker for LinkedIn Lead Scorer
 // Handles API calls to various LLM providers and manages secure communication
 
+importScripts('personas.js', 'key-storage.js', 'scoring.js', 'few-shot-examples.js', 'redaction.js', 'models.js', 'usage.js', 'request-queue.js', 'response-parser.js', 'lead-history.js', 'webhook.js', 'notifications.js');
+
 // API endpoint configurations
 const API_CONFIGS = {
     openai: {
@@ -9,45 +11,53 @@ const API_CONFIGS = {
             'Authorization': `Bearer ${apiKey}`,
             'Content-Type': 'application/json'
         }),
-        formatRequest: (model, prompt, profileData) => ({
+        formatRequest: (model, prompt, content, maxTokens, schema, examples) => ({
             model: model,
             messages: [
                 {
                     role: 'system',
-                    content: prompt
+                    content: appendFewShotExamples(prompt, examples)
                 },
                 {
                     role: 'user',
-                    content: `Profile Data:\n${profileData.text}\nHas Profile Picture: ${profileData.hasProfilePic}`
+                    content: content
                 }
             ],
-            max_tokens: 300,
-            temperature: 0.1
+            max_tokens: maxTokens,
+            temperature: 0.1,
+            // JSON mode works across all listed models; the schema is enforced on our side
+            response_format: { type: 'json_object' }
         }),
-        parseResponse: (response) => {
-            const content = response.choices[0].message.content;
-            return JSON.parse(content);
-        }
+        parseResponse: (response) => response.choices[0].message.content,
+        parseUsage: (response) => parseOpenAIUsage(response)
     },
     gemini: {
-        baseUrl: (model, apiKey) => `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
-        headers: () => ({
+        // The key goes in a header so it never shows up in URLs, logs or error messages
+        baseUrl: (model) => `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+        headers: (apiKey) => ({
+            'x-goog-api-key': apiKey,
             'Content-Type': 'application/json'
         }),
-        formatRequest: (model, prompt, profileData) => ({
+        formatRequest: (model, prompt, content, maxTokens, schema, examples) => ({
             contents: [{
                 parts: [{
-                    text: `${prompt}\n\nProfile Data:\n${profileData.text}\nHas Profile Picture: ${profileData.hasProfilePic}`
+                    text: `${appendFewShotExamples(prompt, examples)}\n\n${content}`
                 }]
             }],
             generationConfig: {
                 temperature: 0.1,
-                maxOutputTokens: 300
+                maxOutputTokens: maxTokens,
+                // Gemini 1.0 models reject JSON mode
+                ...(model === 'gemini-pro' ? {} : {
+                    responseMimeType: 'application/json',
+                    responseSchema: toGeminiSchema(schema)
+                })
             }
         }),
-        parseResponse: (response) => {
-            const content = response.candidates[0].content.parts[0].text;
-            return JSON.parse(content);
+        parseResponse: (response) => response.candidates[0].content.parts[0].text,
+        parseUsage: (response) => {
+            const usage = response.usageMetadata || {};
+            return { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 };
         }
     },
     anthropic: {
@@ -57,75 +67,243 @@ const API_CONFIGS = {
             'Content-Type': 'application/json',
             'anthropic-version': '2023-06-01'
         }),
-        formatRequest: (model, prompt, profileData) => ({
+        formatRequest: (model, prompt, content, maxTokens, schema, examples) => ({
             model: model,
-            max_tokens: 300,
+            max_tokens: maxTokens,
             messages: [{
                 role: 'user',
-                content: `${prompt}\n\nProfile Data:\n${profileData.text}\nHas Profile Picture: ${profileData.hasProfilePic}`
-            }]
+                content: `${appendFewShotExamples(prompt, examples)}\n\n${content}`
+            }],
+            // Forcing a tool call makes Claude return arguments matching the schema
+            tools: [{
+                name: 'record_score',
+                description: 'Record the lead score result',
+                input_schema: schema
+            }],
+            tool_choice: { type: 'tool', name: 'record_score' }
         }),
         parseResponse: (response) => {
-            const content = response.content[0].text;
-            return JSON.parse(content);
+            const toolUse = response.content.find(block => block.type === 'tool_use');
+            if (toolUse) {
+                return toolUse.input;
+            }
+            const textBlock = response.content.find(block => block.type === 'text');
+            return textBlock ? textBlock.text : '';
+        },
+        parseUsage: (response) => {
+            const usage = response.usage || {};
+            return { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 };
         }
+    },
+    custom: {
+        // Any server speaking the OpenAI chat completions API (Ollama, LM Studio, vLLM)
+        requiresApiKey: false,
+        requiresBaseUrl: true,
+        baseUrl: (model, apiKey, baseUrl) => `${getOpenAICompatibleRoot(baseUrl)}/chat/completions`,
+        headers: (apiKey) => ({
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+            'Content-Type': 'application/json'
+        }),
+        // No response_format: support for JSON mode varies between local servers
+        formatRequest: (model, prompt, content, maxTokens, schema, examples) => ({
+            model: model,
+            messages: [
+                {
+                    role: 'system',
+                    content: appendFewShotExamples(prompt, examples)
+                },
+                {
+                    role: 'user',
+                    content: content
+                }
+            ],
+            max_tokens: maxTokens,
+            temperature: 0.1
+        }),
+        parseResponse: (response) => response.choices[0].message.content,
+        // Servers that do not report usage count as zero tokens
+        parseUsage: (response) => parseOpenAIUsage(response)
+    },
+    local: {
+        // Applies the rubric in JavaScript; no network request or API key needed
+        requiresApiKey: false,
+        score: (profileData, rubric) => evaluateRubric(rubric, profileData)
     }
 };
 
-// System prompt for LLM scoring
-const SCORING_PROMPT = `You are an AI assistant that evaluates LinkedIn profiles based on a strict set of rules. Analyze the following profile text and return ONLY a JSON object with two keys: "totalScore" and "reasoning".
+// Token limits for model replies
+const MAX_TOKENS_PER_PROFILE = 300;
+const MAX_BATCH_TOKENS = 4000;
+
+// Batch mode: profiles arriving within this window share one request
+const BATCH_WINDOW_MS = 500;
+const MAX_BATCH_SIZE = 10;
+
+// Profiles waiting to be sent together, keyed by connection (provider, model, key, server) and rubric
+const pendingBatches = new Map();
 
-Scoring Rules:
-- Base Score: 0
-- Positive Keywords (+10): Add 10 if headline contains: 'Founder', 'VC', 'Investor', 'Angel', 'Entrepreneur', 'Stealth', or 'Building'.
-- Negative Keywords (-10): Subtract 10 if headline contains: 'banker', 'realtor', or 'loan'.
-- Industry (+5): Add 5 if headline suggests industries like 'Startup', 'Venture Capital', 'Computer Software', or 'Internet'.
-- Location (+5): Add 5 if location is 'Bangalore', 'San Francisco', or 'San Francisco Bay Area'.
-- Profile Picture (+1): Add 1 point if the user has a profile picture (this will be passed as a boolean).
-- Education (+5): Add 5 if the headline explicitly mentions a globally recognized top-tier university (e.g., 'Stanford', 'MIT', 'CMU', 'IIT').
+// Persistent score cache: one chrome.storage.local item per profile, holding
+// results for each provider/model/rubric combination it has been scored with.
+// Room for a few personas' variants, so switching back and forth stays cached
+const SCORE_CACHE_PREFIX = 'scoreCache:';
+const MAX_CACHED_VARIANTS = 10;
 
-Calculate the sum and provide a brief justification in the 'reasoning' string.`;
+// Profile keys in the score cache, least recently scored first, so it is counted and cleared without a full scan.
+// Profiles beyond the limit are dropped oldest first, keeping the cache well inside the storage quota
+const SCORE_CACHE_INDEX_KEY = 'scoreCacheIndex';
+const MAX_CACHED_PROFILES = 2000;
+
+// Profiles are scored concurrently, so index updates are chained to keep any from being lost
+let scoreCacheIndexWrites = Promise.resolve();
+
+// Apply saved queue limits now and whenever they change, and keep the hot lead badge current
+loadQueueLimits();
+scheduleHotLeadBadgeUpdate();
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && (changes.queueConcurrency || changes.requestsPerMinute)) {
+        loadQueueLimits();
+    }
+    if (areaName === 'sync' && isPersonaChange(changes)) {
+        scheduleHotLeadBadgeUpdate();
+    }
+    if (areaName === 'local' && Object.keys(changes).some(key => key.startsWith(LEAD_HISTORY_PREFIX))) {
+        scheduleHotLeadBadgeUpdate();
+    }
+});
+
+// Open the invitation manager at the card a hot lead notification is about
+chrome.notifications.onClicked.addListener((notificationId) => {
+    handleLeadNotificationClick(notificationId).catch(error => {
+        console.error('Error opening notification:', error);
+    });
+});
 
 // Message listener for handling requests from popup and content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === 'scoreProfile') {
-        handleScoreProfile(request, sendResponse);
+        handleScoreProfile(request, sender, sendResponse);
         return true; // Keep message channel open for async response
     } else if (request.type === 'testConnection') {
         handleTestConnection(request, sendResponse);
         return true; // Keep message channel open for async response
+    } else if (request.type === 'listModels') {
+        handleListModels(request, sendResponse);
+        return true; // Keep message channel open for async response
+    } else if (request.type === 'getCacheStats') {
+        handleGetCacheStats(sendResponse);
+        return true; // Keep message channel open for async response
+    } else if (request.type === 'clearScoreCache') {
+        handleClearScoreCache(sendResponse);
+        return true; // Keep message channel open for async response
+    } else if (request.type === 'recordLeadAction') {
+        handleRecordLeadAction(request, sendResponse);
+        return true; // Keep message channel open for async response
+    } else if (request.type === 'overrideLeadScore') {
+        handleOverrideLeadScore(request, sendResponse);
+        return true; // Keep message channel open for async response
+    } else if (request.type === 'testWebhook') {
+        handleTestWebhook(request, sendResponse);
+        return true; // Keep message channel open for async response
+    } else if (request.type === 'getWebhookLog') {
+        handleGetWebhookLog(sendResponse);
+        return true; // Keep message channel open for async response
+    } else if (request.type === 'getTransmissionLog') {
+        handleGetTransmissionLog(sendResponse);
+        return true; // Keep message channel open for async response
+    } else if (request.type === 'clearTransmissionLog') {
+        handleClearTransmissionLog(sendResponse);
+        return true; // Keep message channel open for async response
     }
 });
 
 /**
- * Handle profile scoring request from content script
+ * Handle profile scoring request from content script.
+ * Scores with the active persona, or with `request.personaId` when a card compares personas;
+ * `request.refresh` skips the cache
  */
-async function handleScoreProfile(request, sendResponse) {
+async function handleScoreProfile(request, sender, sendResponse) {
     try {
-        // Get saved settings
-        const settings = await chrome.storage.sync.get(['modelProvider', 'modelSelection', 'apiKey']);
+        // Get the persona's settings; batching is shared by all personas
+        const active = await loadActivePersona();
+        const persona = request.personaId && request.personaId !== active.id ? await loadPersona(request.personaId) : active;
+        const { batchSize } = await chrome.storage.sync.get('batchSize');
+        const settings = { ...persona.settings, batchSize: batchSize };
+        const rubric = getPersonaRubric(settings);
+        const profileKey = getProfileKey(request.profileData);
+        const personaName = persona.isOnlyPersona ? null : persona.name;
+        const signature = getScoreSignature(settings.modelProvider, settings.modelSelection, settings.customBaseUrl, rubric, settings.localFirst, request.profileData.source);
+        
+        // Serve repeat visits from the cache without calling the provider, or needing its key
+        const cached = profileKey && !request.refresh ? await getCachedScore(profileKey, signature) : null;
+        if (cached) {
+            if (persona === active) {
+                // Personas with the same model and rubric share cache entries, so the name is added here
+                await recordScoredLead(profileKey, request.profileData, { ...cached, persona: personaName });
+                announceScoredLead(profileKey, request.profileData, cached);
+            }
+            sendResponse(await applyScoreOverride(persona === active ? profileKey : null, {
+                success: true,
+                score: cached.score,
+                reasoning: cached.reasoning,
+                breakdown: cached.breakdown,
+                persona: personaName,
+                cached: true
+            }));
+            return;
+        }
         
-        if (!settings.modelProvider || !settings.modelSelection || !settings.apiKey) {
+        settings.apiKey = await loadPersonaApiKey(persona);
+        const connection = getConnection(settings);
+        
+        if (!isConfigured(connection)) {
             sendResponse({
                 success: false,
-                error: 'Extension not configured. Please set up your API key in the popup.'
+                error: persona === active
+                    ? 'Extension not configured. Please set up your API key in the popup.'
+                    : `Persona "${persona.name}" is not configured. Please set up its API key in the popup.`
             });
             return;
         }
         
-        // Make API call to score the profile
-        const result = await callLLMAPI(
-            settings.modelProvider,
-            settings.modelSelection,
-            settings.apiKey,
-            request.profileData
+        const result = await scoreProfileData(
+            connection,
+            request.profileData,
+            rubric,
+            {
+                localFirst: settings.localFirst,
+                queued: true,
+                batchSize: Math.min(settings.batchSize || 1, MAX_BATCH_SIZE),
+                onStateChange: (state) => notifyScoringState(sender, request.requestId, state)
+            }
         );
         
-        sendResponse({
+        if (profileKey) {
+            const entry = {
+                score: result.totalScore,
+                reasoning: result.reasoning,
+                breakdown: result.breakdown || [],
+                provider: settings.modelProvider,
+                model: settings.modelSelection,
+                rubricVersion: getRubricVersion(rubric),
+                scoredAt: Date.now()
+            };
+            await setCachedScore(profileKey, signature, entry);
+            
+            // Comparison scores are only shown on the card; history, alerts and webhooks follow the active persona
+            if (persona === active) {
+                await recordScoredLead(profileKey, request.profileData, { ...entry, persona: personaName });
+                announceScoredLead(profileKey, request.profileData, entry);
+            }
+        }
+        
+        sendResponse(await applyScoreOverride(persona === active ? profileKey : null, {
             success: true,
             score: result.totalScore,
-            reasoning: result.reasoning
-        });
+            reasoning: result.reasoning,
+            breakdown: result.breakdown || [],
+            persona: personaName,
+            cached: false
+        }));
         
     } catch (error) {
         console.error('Error scoring profile:', error);
@@ -136,6 +314,21 @@ async function handleScoreProfile(request, sendResponse) {
     }
 }
 
+/**
+ * Load a persona's API key (see key-storage.js) when its provider calls an API. Throws when the key
+ * is needed and encrypted keys are locked; a custom server's optional key counts as absent instead
+ */
+async function loadPersonaApiKey(persona) {
+    const config = API_CONFIGS[persona.settings.modelProvider];
+    if (!config || config.score) {
+        return '';
+    }
+    if (config.requiresApiKey === false && await isKeyVaultEnabled() && !await isKeyVaultUnlocked()) {
+        return '';
+    }
+    return loadApiKey(persona.id, persona.settings);
+}
+
 /**
  * Handle connection test request from popup
  */
@@ -143,16 +336,27 @@ async function handleTestConnection(request, sendResponse) {
     try {
         // Create a simple test profile data
         const testProfileData = {
-            text: "John Doe\nSoftware Engineer at Tech Company\nSan Francisco, CA\n5 mutual connections",
-            hasProfilePic: true
+            name: 'John Doe',
+            headline: 'Software Engineer at Tech Company',
+            location: 'San Francisco, CA',
+            mutualConnections: 5,
+            hasProfilePic: true,
+            text: 'John Doe Software Engineer at Tech Company San Francisco, CA 5 mutual connections'
         };
         
+        const rubric = await loadScoringRubric();
+        
         // Test the API connection
-        const result = await callLLMAPI(
-            request.provider,
-            request.model,
-            request.apiKey,
-            testProfileData
+        const result = await scoreProfileData(
+            {
+                provider: request.provider,
+                model: request.model,
+                apiKey: request.apiKey,
+                baseUrl: request.baseUrl
+            },
+            testProfileData,
+            rubric,
+            { localFirst: false, queued: false }
         );
         
         // If we get here, the connection worked
@@ -171,50 +375,590 @@ async function handleTestConnection(request, sendResponse) {
 }
 
 /**
- * Make API call to the specified LLM provider
+ * Handle model list request for an OpenAI-compatible server from popup
+ */
+async function handleListModels(request, sendResponse) {
+    try {
+        const root = getOpenAICompatibleRoot(request.baseUrl);
+        const response = await fetch(`${root}/models`, {
+            headers: API_CONFIGS.custom.headers(request.apiKey)
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Model list request failed (${response.status}): ${errorText}`);
+        }
+        
+        const data = await response.json();
+        const models = (data.data || []).map(model => model.id).filter(Boolean);
+        
+        sendResponse({ success: true, models: models });
+    } catch (error) {
+        console.error('Error listing models:', error);
+        sendResponse({
+            success: false,
+            error: error.message || 'Failed to list models'
+        });
+    }
+}
+
+/**
+ * Normalize a server URL to its OpenAI-compatible API root, e.g. http://localhost:11434/v1
+ */
+function getOpenAICompatibleRoot(baseUrl) {
+    const trimmed = (baseUrl || '').trim().replace(/\/+$/, '');
+    return trimmed.endsWith('/v1') ? trimmed : `${trimmed}/v1`;
+}
+
+/**
+ * Read token usage from an OpenAI-style chat completion
+ */
+function parseOpenAIUsage(response) {
+    const usage = response.usage || {};
+    return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Tell the requesting tab whether its card is waiting in the queue or being scored
+ */
+function notifyScoringState(sender, requestId, state) {
+    if (!sender.tab || !requestId) {
+        return;
+    }
+    
+    chrome.tabs.sendMessage(sender.tab.id, {
+        type: 'scoringState',
+        requestId: requestId,
+        state: state
+    }, { frameId: sender.frameId }).catch(() => {
+        // The tab may have navigated away; nothing to update
+    });
+}
+
+/**
+ * Load queue concurrency and rate limits from settings
+ */
+async function loadQueueLimits() {
+    const settings = await chrome.storage.sync.get(['queueConcurrency', 'requestsPerMinute']);
+    setQueueLimits(settings.queueConcurrency, settings.requestsPerMinute);
+}
+
+/**
+ * Handle cache statistics request from popup
+ */
+async function handleGetCacheStats(sendResponse) {
+    try {
+        const index = await loadScoreCacheIndex();
+        sendResponse({ success: true, profiles: index.length });
+    } catch (error) {
+        console.error('Error reading score cache:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to read cache' });
+    }
+}
+
+/**
+ * Handle clear cache request from popup
+ */
+async function handleClearScoreCache(sendResponse) {
+    try {
+        const index = await loadScoreCacheIndex();
+        await chrome.storage.local.remove(index.map(profileKey => SCORE_CACHE_PREFIX + profileKey));
+        await chrome.storage.local.set({ [SCORE_CACHE_INDEX_KEY]: [] });
+        sendResponse({ success: true, cleared: index.length });
+    } catch (error) {
+        console.error('Error clearing score cache:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to clear cache' });
+    }
+}
+
+/**
+ * Handle an accept or ignore click on a scored card from content script
+ */
+async function handleRecordLeadAction(request, sendResponse) {
+    try {
+        const profileKey = getProfileKey(request.profileData);
+        const recorded = profileKey ? await recordLeadAction(profileKey, request.action) : false;
+        sendResponse({ success: true, recorded: recorded });
+    } catch (error) {
+        console.error('Error recording lead action:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to record action' });
+    }
+}
+
+/**
+ * Handle a manual score override (or clearing one) from the badge detail panel
+ */
+async function handleOverrideLeadScore(request, sendResponse) {
+    try {
+        const profileKey = getProfileKey(request.profileData);
+        const saved = profileKey ? await setLeadOverride(profileKey, request.score) : false;
+        sendResponse({ success: true, saved: saved });
+    } catch (error) {
+        console.error('Error overriding lead score:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to override score' });
+    }
+}
+
+/**
+ * Show a lead's manual override in place of the model's score; the model's score stays in `modelScore`
+ */
+async function applyScoreOverride(profileKey, response) {
+    const lead = profileKey ? await getLead(profileKey) : null;
+    if (!lead || lead.overrideScore === null || lead.overrideScore === undefined) {
+        return response;
+    }
+
+    return { ...response, score: lead.overrideScore, modelScore: response.score, overridden: true };
+}
+
+/**
+ * Fire the lead webhook and hot lead notification in the background; neither delays or fails scoring.
+ * Only invitations we received are announced, not people found while prospecting
+ */
+function announceScoredLead(profileKey, profileData, entry) {
+    if (!isInboundLead(profileData)) {
+        return;
+    }
+    
+    maybeSendLeadWebhook(profileKey, profileData, entry).catch(error => {
+        console.error('Error sending lead webhook:', error);
+    });
+    maybeNotifyHotLead(profileKey, profileData, entry).catch(error => {
+        console.error('Error showing notification:', error);
+    });
+}
+
+/**
+ * Handle send test event request from popup
+ */
+async function handleTestWebhook(request, sendResponse) {
+    try {
+        const result = await sendTestWebhook({
+            url: request.url,
+            threshold: request.threshold,
+            secret: request.secret,
+            headers: request.headers
+        });
+        
+        if (result.ok) {
+            sendResponse({ success: true, status: result.status });
+        } else {
+            sendResponse({ success: false, error: result.error });
+        }
+    } catch (error) {
+        console.error('Webhook test failed:', error);
+        sendResponse({ success: false, error: error.message || 'Webhook test failed' });
+    }
+}
+
+/**
+ * Handle webhook delivery log request from popup
+ */
+async function handleGetWebhookLog(sendResponse) {
+    try {
+        const { webhookDeliveryLog = [] } = await chrome.storage.local.get('webhookDeliveryLog');
+        sendResponse({ success: true, log: webhookDeliveryLog });
+    } catch (error) {
+        console.error('Error reading webhook log:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to read webhook log' });
+    }
+}
+
+/**
+ * Handle transmission audit log request from popup
+ */
+async function handleGetTransmissionLog(sendResponse) {
+    try {
+        const { [TRANSMISSION_LOG_KEY]: log = [] } = await chrome.storage.local.get(TRANSMISSION_LOG_KEY);
+        sendResponse({ success: true, log: log });
+    } catch (error) {
+        console.error('Error reading transmission log:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to read transmission log' });
+    }
+}
+
+/**
+ * Handle clear transmission audit log request from popup
+ */
+async function handleClearTransmissionLog(sendResponse) {
+    try {
+        await chrome.storage.local.remove(TRANSMISSION_LOG_KEY);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error('Error clearing transmission log:', error);
+        sendResponse({ success: false, error: error.message || 'Failed to clear transmission log' });
+    }
+}
+
+/**
+ * Derive a stable cache identity from the profile URL (e.g. "in:jane-doe")
+ */
+function getProfileKey(profileData) {
+    const match = (profileData.profileUrl || '').match(/\/in\/([^/?#]+)/);
+    if (!match) {
+        return null;
+    }
+    
+    try {
+        return `in:${decodeURIComponent(match[1]).toLowerCase()}`;
+    } catch (error) {
+        return `in:${match[1].toLowerCase()}`;
+    }
+}
+
+/**
+ * Build the cache signature for the current provider, model and rubric, plus the server for custom providers
+ * since the same model name can run anywhere.
+ * Profile pages and enriched cards carry more data than plain cards, so they are cached separately
  */
-async function callLLMAPI(provider, model, apiKey, profileData) {
+function getScoreSignature(provider, model, baseUrl, rubric, localFirst, source) {
     const config = API_CONFIGS[provider];
+    const server = config && config.requiresBaseUrl ? `@${getOpenAICompatibleRoot(baseUrl)}` : '';
+    const mode = localFirst && config && !config.score ? ':local-first' : '';
+    const origin = source ? `:${source}` : '';
+    return `${provider}:${model}${server}:${getRubricVersion(rubric)}${mode}${origin}`;
+}
+
+/**
+ * Look up a cached score for a profile; entries for other models or rubrics never match
+ */
+async function getCachedScore(profileKey, signature) {
+    const storageKey = SCORE_CACHE_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(storageKey);
+    const variants = stored[storageKey];
+    return variants && variants[signature] ? variants[signature] : null;
+}
+
+/**
+ * Store a score for a profile, keeping only the most recent variants
+ */
+async function setCachedScore(profileKey, signature, entry) {
+    const storageKey = SCORE_CACHE_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(storageKey);
+    const variants = { ...(stored[storageKey] || {}), [signature]: entry };
+    
+    const recent = Object.entries(variants)
+        .sort(([, a], [, b]) => b.scoredAt - a.scoredAt)
+        .slice(0, MAX_CACHED_VARIANTS);
+    
+    await chrome.storage.local.set({ [storageKey]: Object.fromEntries(recent) });
+    await addToScoreCacheIndex(profileKey);
+}
+
+/**
+ * Move a profile to the end of the cache index and drop the least recently scored profiles beyond MAX_CACHED_PROFILES
+ */
+function addToScoreCacheIndex(profileKey) {
+    const write = scoreCacheIndexWrites.then(async () => {
+        const index = (await loadScoreCacheIndex()).filter(key => key !== profileKey);
+        index.push(profileKey);
+        
+        const evicted = index.splice(0, Math.max(0, index.length - MAX_CACHED_PROFILES));
+        if (evicted.length > 0) {
+            await chrome.storage.local.remove(evicted.map(key => SCORE_CACHE_PREFIX + key));
+        }
+        await chrome.storage.local.set({ [SCORE_CACHE_INDEX_KEY]: index });
+    });
+    scoreCacheIndexWrites = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Load the profile keys in the score cache. Builds the index from a full scan once when it is
+ * missing, for scores cached before it existed
+ */
+async function loadScoreCacheIndex() {
+    const { [SCORE_CACHE_INDEX_KEY]: index } = await chrome.storage.local.get(SCORE_CACHE_INDEX_KEY);
+    if (index) {
+        return index;
+    }
+    
+    const everything = await chrome.storage.local.get(null);
+    const rebuilt = Object.keys(everything)
+        .filter(key => key.startsWith(SCORE_CACHE_PREFIX))
+        .map(key => ({
+            profileKey: key.slice(SCORE_CACHE_PREFIX.length),
+            scoredAt: Math.max(...Object.values(everything[key]).map(variant => variant.scoredAt))
+        }))
+        .sort((a, b) => a.scoredAt - b.scoredAt)
+        .map(cached => cached.profileKey);
+    await chrome.storage.local.set({ [SCORE_CACHE_INDEX_KEY]: rebuilt });
+    return rebuilt;
+}
+
+/**
+ * Check that a connection has a provider, model and whatever else that provider requires
+ */
+function isConfigured(connection) {
+    const config = API_CONFIGS[connection.provider];
+    if (!config || !connection.model) {
+        return false;
+    }
+    if (config.requiresBaseUrl && !connection.baseUrl) {
+        return false;
+    }
+    return config.requiresApiKey === false || Boolean(connection.apiKey);
+}
+
+/**
+ * Build a provider connection ({provider, model, apiKey, baseUrl}) from saved settings
+ */
+function getConnection(settings) {
+    return {
+        provider: settings.modelProvider,
+        model: settings.modelSelection,
+        apiKey: settings.apiKey,
+        baseUrl: settings.customBaseUrl
+    };
+}
+
+/**
+ * Score profile data with the configured provider, optionally trying the local rules first.
+ * Options: localFirst, queued (send LLM calls through the rate-limited queue), batchSize, onStateChange
+ */
+async function scoreProfileData(connection, profileData, rubric, options) {
+    const config = API_CONFIGS[connection.provider];
     if (!config) {
+        throw new Error(`Unsupported provider: ${connection.provider}`);
+    }
+    
+    if (config.score) {
+        return config.score(profileData, rubric);
+    }
+    
+    // Only escalate to the LLM when the local rules find no keyword evidence
+    if (options.localFirst) {
+        const localResult = evaluateRubric(rubric, profileData);
+        if (hasTermMatch(localResult)) {
+            return localResult;
+        }
+    }
+    
+    if (options.queued && options.batchSize > 1) {
+        return scoreInBatch(connection, profileData, rubric, options);
+    }
+    
+    const request = () => callLLMAPI(connection, profileData, rubric);
+    
+    return options.queued ? enqueueRequest(request, options.onStateChange) : request();
+}
+
+/**
+ * Add a profile to the pending batch for its connection and rubric. Personas with their own key or
+ * server never share a batch, since the batch is sent with the first profile's connection
+ */
+function scoreInBatch(connection, profileData, rubric, options) {
+    const batchKey = JSON.stringify([connection.provider, connection.model, connection.apiKey || '', connection.baseUrl || '', getRubricVersion(rubric)]);
+    
+    return new Promise((resolve, reject) => {
+        let batch = pendingBatches.get(batchKey);
+        if (!batch) {
+            batch = { connection, rubric, items: [] };
+            batch.timer = setTimeout(() => flushBatch(batchKey), BATCH_WINDOW_MS);
+            pendingBatches.set(batchKey, batch);
+        }
+        
+        const item = {
+            id: `p${batch.items.length + 1}`,
+            profileData: profileData,
+            resolve: resolve,
+            reject: reject,
+            onStateChange: options.onStateChange || (() => {})
+        };
+        batch.items.push(item);
+        item.onStateChange('queued');
+        
+        if (batch.items.length >= options.batchSize) {
+            flushBatch(batchKey);
+        }
+    });
+}
+
+/**
+ * Send a pending batch and map the results back to each profile, falling back to
+ * per-profile requests for anything the model left out or garbled
+ */
+async function flushBatch(batchKey) {
+    const batch = pendingBatches.get(batchKey);
+    if (!batch) {
+        return;
+    }
+    pendingBatches.delete(batchKey);
+    clearTimeout(batch.timer);
+    
+    const { connection, rubric, items } = batch;
+    const range = getRubricScoreRange(rubric);
+    const scoreIndividually = (item) => enqueueRequest(
+        () => callLLMAPI(connection, item.profileData, rubric),
+        item.onStateChange
+    );
+    
+    if (items.length === 1) {
+        items[0].resolve(scoreIndividually(items[0]));
+        return;
+    }
+    
+    let results = [];
+    try {
+        results = await enqueueRequest(
+            () => callLLMBatchAPI(
+                connection,
+                items.map(item => ({ id: item.id, profileData: item.profileData })),
+                rubric
+            ),
+            (state) => items.forEach(item => item.onStateChange(state))
+        );
+    } catch (error) {
+        if (!error.malformed) {
+            items.forEach(item => item.reject(error));
+            return;
+        }
+        console.warn('LinkedIn Lead Scorer: Malformed batch response, scoring profiles individually:', error.message);
+    }
+    
+    const resultsById = new Map();
+    results.forEach(result => {
+        if (result && getScoreResultProblems(result, range).length === 0) {
+            resultsById.set(String(result.id), normalizeScoreResult(result));
+        }
+    });
+    
+    items.forEach(item => {
+        const result = resultsById.get(item.id);
+        if (result) {
+            item.resolve(result);
+        } else {
+            item.resolve(scoreIndividually(item));
+        }
+    });
+}
+
+/**
+ * Score a single profile with the specified LLM provider, redacting it first (see redaction.js)
+ */
+async function callLLMAPI(connection, profileData, rubric) {
+    await checkUsageBudget();
+    const range = getRubricScoreRange(rubric);
+    const redaction = await loadRedactionSettings();
+    const redacted = redactProfileData(profileData, redaction);
+    const profileKey = getProfileKey(profileData);
+    const content = `Profile Data:\n${formatProfileData(redacted.profile)}`;
+    const examples = await buildFewShotPrompt([profileKey], [profileData], (profile) => redactProfileData(profile, redaction).profile);
+    await logTransmission(connection, [profileKey], redacted.counts, content, examples);
+    
+    return requestStructuredOutput(
+        connection,
+        compileRubricPrompt(rubric),
+        content,
+        MAX_TOKENS_PER_PROFILE,
+        SCORE_RESULT_SCHEMA,
+        (output) => validateScoreResult(output, range),
+        examples
+    );
+}
+
+/**
+ * Score several profiles in one request, redacting them first; returns the unvalidated array of per-profile results
+ */
+async function callLLMBatchAPI(connection, profiles, rubric) {
+    await checkUsageBudget();
+    const redaction = await loadRedactionSettings();
+    const redacted = profiles.map(({ profileData }) => redactProfileData(profileData, redaction));
+    const profileKeys = profiles.map(({ profileData }) => getProfileKey(profileData));
+    const content = `Profiles:\n\n${profiles
+        .map(({ id }, index) => `Profile ID: ${id}\n${formatProfileData(redacted[index].profile)}`)
+        .join('\n\n')}`;
+    const examples = await buildFewShotPrompt(
+        profileKeys,
+        profiles.map(({ profileData }) => profileData),
+        (profile) => redactProfileData(profile, redaction).profile
+    );
+    await logTransmission(connection, profileKeys, sumRedactionCounts(redacted.map(result => result.counts)), content, examples);
+    
+    return requestStructuredOutput(
+        connection,
+        compileRubricPrompt(rubric, true),
+        content,
+        Math.min(MAX_TOKENS_PER_PROFILE * profiles.length, MAX_BATCH_TOKENS),
+        BATCH_RESULT_SCHEMA,
+        validateBatchResult,
+        examples
+    );
+}
+
+/**
+ * Request JSON output and validate it, retrying once with a repair prompt when unusable.
+ * `examples` is the few-shot block for the prompt, or '' for none
+ */
+async function requestStructuredOutput(connection, prompt, content, maxTokens, schema, validate, examples = '') {
+    const output = await requestCompletion(connection, prompt, content, maxTokens, schema, examples);
+    
+    try {
+        return validate(parseModelOutput(output));
+    } catch (error) {
+        if (!error.malformed) {
+            throw error;
+        }
+        
+        console.warn('LinkedIn Lead Scorer: Unusable LLM reply, retrying with repair prompt:', error.message);
+        const repairContent = `${content}\n\n${buildRepairPrompt(output, error)}`;
+        const repaired = await requestCompletion(connection, prompt, repairContent, maxTokens, schema, examples);
+        return validate(parseModelOutput(repaired));
+    }
+}
+
+/**
+ * Make API call to the specified LLM provider and return the raw reply (text or tool input)
+ */
+async function requestCompletion(connection, prompt, content, maxTokens, schema, examples = '') {
+    const { provider, model, apiKey } = connection;
+    const config = API_CONFIGS[provider];
+    if (!config || !config.formatRequest) {
         throw new Error(`Unsupported provider: ${provider}`);
     }
     
     try {
         // Prepare request
         const url = typeof config.baseUrl === 'function' 
-            ? config.baseUrl(model, apiKey) 
+            ? config.baseUrl(model, apiKey, connection.baseUrl) 
             : config.baseUrl;
             
         const headers = config.headers(apiKey);
-        const body = config.formatRequest(model, SCORING_PROMPT, profileData);
+        const body = config.formatRequest(model, prompt, content, maxTokens, schema, examples);
         
         // Make API request
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: headers,
-            body: JSON.stringify(body)
-        });
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body)
+            });
+        } catch (networkError) {
+            const error = new Error(`Network error contacting ${provider}: ${networkError.message}`);
+            error.retryable = true;
+            throw error;
+        }
         
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`API request failed (${response.status}): ${errorText}`);
+            const error = new Error(`API request failed (${response.status}): ${errorText}`);
+            error.status = response.status;
+            error.retryable = response.status === 429 || response.status >= 500;
+            error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+            throw error;
         }
         
         const responseData = await response.json();
+        const server = config.requiresBaseUrl ? getOpenAICompatibleRoot(connection.baseUrl) : '';
+        await recordUsage(getUsageModelKey(connection.provider, connection.model, server), config.parseUsage(responseData));
         
-        // Parse response according to provider format
-        const result = config.parseResponse(responseData);
-        
-        // Validate response format
-        if (typeof result.totalScore !== 'number' || typeof result.reasoning !== 'string') {
-            throw new Error('Invalid response format from LLM');
-        }
-        
-        return result;
+        // Extract the reply according to provider format
+        return config.parseResponse(responseData);
         
     } catch (error) {
         if (error.name === 'SyntaxError') {
-            throw new Error('LLM returned invalid JSON response');
+            throw new Error(`${provider} returned a response that is not valid JSON`);
         }
         throw error;
     }
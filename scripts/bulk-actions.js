@@ -0,0 +1,384 @@
+// Bulk actions for LinkedIn Lead Scorer
+// Toolbar above the invitation list that accepts or ignores cards by score threshold
+
+const BULK_ACTION_DEFAULTS = {
+    acceptThreshold: 20,
+    ignoreThreshold: 0,
+    dryRun: true
+};
+
+// Random pause between clicks so bulk actions pace like a person
+const ACTION_DELAY_MIN_MS = 1500;
+const ACTION_DELAY_MAX_MS = 4000;
+
+const MAX_ACTION_LOG_ENTRIES = 500;
+
+const BULK_ACTIONS = {
+    accept: {
+        label: 'Accept',
+        pastTense: 'Accepted',
+        buttonSelector: '[data-control-name="accept"], button[aria-label^="Accept"]',
+        matches: (score, threshold) => score >= threshold
+    },
+    ignore: {
+        label: 'Ignore',
+        pastTense: 'Ignored',
+        buttonSelector: '[data-control-name="ignore"], button[aria-label^="Ignore"]',
+        matches: (score, threshold) => score < threshold
+    }
+};
+
+// Set while a bulk run is clicking through cards
+let activeBulkRun = null;
+
+/**
+ * Inject the bulk action toolbar above the invitation list, once
+ */
+async function injectBulkActionToolbar() {
+    if (document.getElementById('lead-scorer-toolbar')) {
+        return;
+    }
+
+    const anchor = findToolbarAnchor();
+    if (!anchor) {
+        return;
+    }
+
+    const toolbar = createBulkActionToolbar();
+    anchor.parentElement.insertBefore(toolbar, anchor);
+    appendListViewControls(toolbar);
+
+    await loadToolbarSettings();
+}
+
+/**
+ * Fill the toolbar with the persona list and the active persona's thresholds
+ */
+async function loadToolbarSettings() {
+    const toolbar = document.getElementById('lead-scorer-toolbar');
+    if (!toolbar) {
+        return;
+    }
+
+    const personas = await loadPersonas();
+    const persona = await loadActivePersona();
+    const { bulkDryRun } = await chrome.storage.sync.get('bulkDryRun');
+
+    const personaSelect = toolbar.querySelector('#lead-scorer-persona');
+    personaSelect.innerHTML = '';
+    personas.forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.id;
+        option.textContent = item.name;
+        personaSelect.appendChild(option);
+    });
+    personaSelect.value = persona.id;
+    personaSelect.closest('label').hidden = personas.length < 2;
+
+    // Ranking by the best persona only makes sense when cards are scored by several
+    const sortKey = toolbar.querySelector('.lead-scorer-sort-key');
+    if (sortKey) {
+        sortKey.hidden = comparePersonaIds.length === 0;
+    }
+
+    toolbar.querySelector('#lead-scorer-accept-threshold').value = persona.settings.bulkAcceptThreshold ?? BULK_ACTION_DEFAULTS.acceptThreshold;
+    toolbar.querySelector('#lead-scorer-ignore-threshold').value = persona.settings.bulkIgnoreThreshold ?? BULK_ACTION_DEFAULTS.ignoreThreshold;
+    toolbar.querySelector('#lead-scorer-dry-run').checked = bulkDryRun ?? BULK_ACTION_DEFAULTS.dryRun;
+}
+
+/**
+ * Record accept and ignore clicks on scored cards in the lead history, whether manual or bulk
+ */
+function trackInvitationActions() {
+    document.addEventListener('click', (event) => {
+        // Only pages with accept/ignore buttons record actions
+        const card = event.target.closest('[data-lead-scorer-card]');
+        if (!card || !activeAdapter || !activeAdapter.bulkActions) {
+            return;
+        }
+
+        const action = Object.keys(BULK_ACTIONS).find(name => event.target.closest(BULK_ACTIONS[name].buttonSelector));
+        if (!action) {
+            return;
+        }
+
+        // Read the card now; LinkedIn removes it once the invitation is handled
+        chrome.runtime.sendMessage({
+            type: 'recordLeadAction',
+            action: action,
+            profileData: extractProfileData(card)
+        }).catch(error => {
+            console.error('LinkedIn Lead Scorer: Error recording action:', error);
+        });
+    }, true);
+}
+
+/**
+ * Find the element the toolbar is inserted before
+ */
+function findToolbarAnchor() {
+    const list = document.querySelector(activeAdapter.selectors.list);
+    if (list) {
+        return list;
+    }
+
+    // Fall back to the list containing the first invitation card
+    const firstCard = findCards()[0];
+    return firstCard ? firstCard.closest('ul') || firstCard : null;
+}
+
+/**
+ * Create the toolbar element
+ */
+function createBulkActionToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.id = 'lead-scorer-toolbar';
+    toolbar.className = 'lead-scorer-toolbar';
+    toolbar.innerHTML = `
+        <div class="lead-scorer-toolbar-row lead-scorer-bulk-actions">
+            <span class="lead-scorer-toolbar-title">Lead Scorer</span>
+            <label hidden>Persona <select id="lead-scorer-persona"></select></label>
+            <label>Accept all &ge; <input type="number" id="lead-scorer-accept-threshold" step="1"></label>
+            <button type="button" class="lead-scorer-toolbar-btn" data-bulk-action="accept">Accept…</button>
+            <label>Ignore all &lt; <input type="number" id="lead-scorer-ignore-threshold" step="1"></label>
+            <button type="button" class="lead-scorer-toolbar-btn" data-bulk-action="ignore">Ignore…</button>
+            <label class="lead-scorer-toolbar-check"><input type="checkbox" id="lead-scorer-dry-run"> Dry run (highlight only)</label>
+            <button type="button" class="lead-scorer-toolbar-btn lead-scorer-stop" hidden>Stop</button>
+        </div>
+        <div class="lead-scorer-preview" hidden>
+            <div class="lead-scorer-preview-title"></div>
+            <ul class="lead-scorer-preview-list"></ul>
+            <div class="lead-scorer-preview-actions">
+                <button type="button" class="lead-scorer-toolbar-btn lead-scorer-confirm">Confirm</button>
+                <button type="button" class="lead-scorer-toolbar-btn lead-scorer-cancel">Cancel</button>
+            </div>
+        </div>
+        <div class="lead-scorer-toolbar-status"></div>
+    `;
+
+    toolbar.querySelectorAll('[data-bulk-action]').forEach(button => {
+        button.addEventListener('click', () => showBulkActionPreview(toolbar, button.dataset.bulkAction));
+    });
+    toolbar.querySelector('.lead-scorer-cancel').addEventListener('click', () => {
+        toolbar.querySelector('.lead-scorer-preview').hidden = true;
+    });
+    toolbar.querySelector('.lead-scorer-stop').addEventListener('click', () => handleBulkStop(toolbar));
+
+    // Remember thresholds and dry-run choice between visits
+    toolbar.querySelector('.lead-scorer-bulk-actions').addEventListener('change', (event) => {
+        if (event.target.id !== 'lead-scorer-persona') {
+            saveBulkActionSettings(toolbar);
+        }
+    });
+
+    // Switching persona rescores the list (see content.js)
+    toolbar.querySelector('#lead-scorer-persona').addEventListener('change', (event) => {
+        setActivePersona(event.target.value).catch(error => {
+            console.error('LinkedIn Lead Scorer: Error switching persona:', error);
+        });
+    });
+
+    return toolbar;
+}
+
+/**
+ * Persist the toolbar thresholds for the active persona, and the dry-run setting
+ */
+function saveBulkActionSettings(toolbar) {
+    const thresholds = readBulkThresholds(toolbar);
+    saveActivePersonaSettings({
+        bulkAcceptThreshold: thresholds.accept,
+        bulkIgnoreThreshold: thresholds.ignore
+    });
+    chrome.storage.sync.set({
+        bulkDryRun: toolbar.querySelector('#lead-scorer-dry-run').checked
+    });
+}
+
+/**
+ * Read the accept and ignore thresholds from the toolbar
+ */
+function readBulkThresholds(toolbar) {
+    const accept = Number(toolbar.querySelector('#lead-scorer-accept-threshold').value);
+    const ignore = Number(toolbar.querySelector('#lead-scorer-ignore-threshold').value);
+
+    return {
+        accept: Number.isFinite(accept) ? accept : BULK_ACTION_DEFAULTS.acceptThreshold,
+        ignore: Number.isFinite(ignore) ? ignore : BULK_ACTION_DEFAULTS.ignoreThreshold
+    };
+}
+
+/**
+ * Get scored cards on the page that a bulk action would affect
+ */
+function getCardsForBulkAction(action, threshold) {
+    return Array.from(document.querySelectorAll('[data-lead-score]'))
+        .filter(card => document.body.contains(card))
+        .filter(card => BULK_ACTIONS[action].matches(Number(card.dataset.leadScore), threshold));
+}
+
+/**
+ * Show the people a bulk action would affect and wait for confirmation
+ */
+function showBulkActionPreview(toolbar, action) {
+    if (activeBulkRun) {
+        return;
+    }
+
+    const thresholds = readBulkThresholds(toolbar);
+    const cards = getCardsForBulkAction(action, thresholds[action]);
+    const dryRun = toolbar.querySelector('#lead-scorer-dry-run').checked;
+    const preview = toolbar.querySelector('.lead-scorer-preview');
+    const list = preview.querySelector('.lead-scorer-preview-list');
+
+    clearBulkHighlights();
+    list.innerHTML = '';
+
+    if (cards.length === 0) {
+        setToolbarStatus(toolbar, 'No scored invitations match. Scroll to load and score more.');
+        preview.hidden = true;
+        return;
+    }
+
+    cards.forEach(card => {
+        const item = document.createElement('li');
+        item.textContent = `${getCardDisplayName(card)} (${card.dataset.leadScore})`;
+        list.appendChild(item);
+    });
+
+    const verb = BULK_ACTIONS[action].label;
+    preview.querySelector('.lead-scorer-preview-title').textContent = dryRun
+        ? `Dry run: highlight ${cards.length} ${cards.length === 1 ? 'invitation' : 'invitations'} to ${verb.toLowerCase()}`
+        : `${verb} ${cards.length} ${cards.length === 1 ? 'invitation' : 'invitations'}?`;
+
+    const confirmButton = preview.querySelector('.lead-scorer-confirm');
+    confirmButton.onclick = () => {
+        preview.hidden = true;
+        runBulkAction(toolbar, action, cards, dryRun);
+    };
+
+    setToolbarStatus(toolbar, '');
+    preview.hidden = false;
+}
+
+/**
+ * Stop a running bulk action after the current card
+ */
+function handleBulkStop(toolbar) {
+    if (activeBulkRun) {
+        activeBulkRun.cancelled = true;
+        setToolbarStatus(toolbar, 'Stopping…');
+    }
+}
+
+/**
+ * Click the action button on each card with human-like pacing, or only highlight in dry-run mode
+ */
+async function runBulkAction(toolbar, action, cards, dryRun) {
+    const config = BULK_ACTIONS[action];
+
+    if (dryRun) {
+        cards.forEach(card => card.classList.add(`lead-scorer-highlight-${action}`));
+        await logBulkActions(cards.map(card => createActionLogEntry(card, action, true)));
+        setToolbarStatus(toolbar, `Dry run: highlighted ${cards.length} ${cards.length === 1 ? 'card' : 'cards'}. Nothing was clicked.`);
+        return;
+    }
+
+    activeBulkRun = { cancelled: false };
+    const stopButton = toolbar.querySelector('.lead-scorer-stop');
+    stopButton.hidden = false;
+    let completed = 0;
+
+    try {
+        for (const card of cards) {
+            if (activeBulkRun.cancelled) {
+                break;
+            }
+
+            const button = card.querySelector(config.buttonSelector);
+            if (!button || !document.body.contains(card)) {
+                console.warn(`LinkedIn Lead Scorer: No ${config.label} button found, skipping card`);
+                continue;
+            }
+
+            const entry = createActionLogEntry(card, action, false);
+            button.click();
+            completed++;
+            await logBulkActions([entry]);
+            setToolbarStatus(toolbar, `${config.pastTense} ${completed} of ${cards.length}…`);
+
+            await sleep(randomBetween(ACTION_DELAY_MIN_MS, ACTION_DELAY_MAX_MS));
+        }
+
+        const stopped = activeBulkRun.cancelled ? ' (stopped)' : '';
+        setToolbarStatus(toolbar, `${config.pastTense} ${completed} of ${cards.length} ${cards.length === 1 ? 'invitation' : 'invitations'}${stopped}.`);
+    } finally {
+        activeBulkRun = null;
+        stopButton.hidden = true;
+    }
+}
+
+/**
+ * Build a log entry describing an action on a card
+ */
+function createActionLogEntry(card, action, dryRun) {
+    const profileData = extractProfileData(card);
+    return {
+        at: Date.now(),
+        action: action,
+        dryRun: dryRun,
+        name: profileData.name,
+        profileUrl: profileData.profileUrl,
+        score: Number(card.dataset.leadScore)
+    };
+}
+
+/**
+ * Append entries to the bulk action log in chrome.storage.local
+ */
+async function logBulkActions(entries) {
+    entries.forEach(entry => {
+        console.log(`LinkedIn Lead Scorer: ${entry.dryRun ? '[dry run] ' : ''}${entry.action} ${entry.name} (score ${entry.score})`);
+    });
+
+    const { bulkActionLog = [] } = await chrome.storage.local.get('bulkActionLog');
+    const updated = bulkActionLog.concat(entries).slice(-MAX_ACTION_LOG_ENTRIES);
+    await chrome.storage.local.set({ bulkActionLog: updated });
+}
+
+/**
+ * Remove dry-run highlights from all cards
+ */
+function clearBulkHighlights() {
+    document.querySelectorAll('.lead-scorer-highlight-accept, .lead-scorer-highlight-ignore').forEach(card => {
+        card.classList.remove('lead-scorer-highlight-accept', 'lead-scorer-highlight-ignore');
+    });
+}
+
+/**
+ * Get a display name for a card
+ */
+function getCardDisplayName(card) {
+    return extractProfileData(card).name || 'Unknown';
+}
+
+/**
+ * Show a status line under the toolbar
+ */
+function setToolbarStatus(toolbar, message) {
+    toolbar.querySelector('.lead-scorer-toolbar-status').textContent = message;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Pick a random whole number between min and max
+ */
+function randomBetween(min, max) {
+    return Math.floor(min + Math.random() * (max - min));
+}
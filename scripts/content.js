@@ -1,18 +1,27 @@
 // Content script for LinkedIn Lead Scorer
-// Monitors LinkedIn invitation manager page and scores connection requests
-
-// Configuration
-const SELECTORS = {
-    invitationCard: '.invitation-card, [data-test-invitation-card], .artdeco-entity-lockup',
-    invitationList: '.invitation-manager-list, [data-test-invitation-manager-list]',
-    profileImage: 'img[alt*="profile"], .presence-entity__image img, .artdeco-entity-lockup__image img',
-    acceptButton: '[data-control-name="accept"], .artdeco-button--primary',
-    cardContent: '.artdeco-entity-lockup__content, .invitation-card__content'
-};
+// Monitors LinkedIn pages with profile cards (see page-adapters.js) and scores them
 
 // Track processed cards to avoid duplicate scoring
 const processedCards = new Set();
 
+// Adapter for the current page, or null when the page is not handled or switched off.
+// LinkedIn navigates without reloading, so this is re-checked as the page changes
+let activeAdapterName = null;
+let activeAdapter = null;
+let enabledPages = {};
+
+// Loading badges waiting on the background queue, keyed by request id
+const pendingBadges = new Map();
+
+// Card a hot lead notification asked to open, as a profile key (e.g. "in:jane-doe")
+let requestedProfileKey = null;
+
+// Bumped when a persona switch rescores the page, so answers for the old persona are dropped
+let scoreGeneration = 0;
+
+// Personas each card is also scored under, shown as compact badges beside the main one
+let comparePersonaIds = [];
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initialize);
@@ -23,70 +32,122 @@ if (document.readyState === 'loading') {
 /**
  * Initialize the content script
  */
-function initialize() {
+async function initialize() {
     console.log('LinkedIn Lead Scorer: Initializing content script');
     
-    // Check if we're on the correct page
-    if (!isInvitationManagerPage()) {
-        console.log('LinkedIn Lead Scorer: Not on invitation manager page');
-        return;
-    }
+    enabledPages = await loadEnabledPages();
+    comparePersonaIds = await loadComparePersonaIds();
     
-    // Process existing invitation cards
-    processExistingCards();
+    // Scroll to the card named in the URL fragment by a notification click
+    watchRequestedCard();
+    
+    // Record accept/ignore clicks in the lead history
+    trackInvitationActions();
     
-    // Set up observer for dynamically loaded content
+    // Score the cards of the current page, if it has an adapter
+    updateActiveAdapter();
+    
+    // Set up observer for dynamically loaded content and in-app navigation
     setupMutationObserver();
     
+    // Apply page toggles and persona switches from the popup without a reload
+    chrome.storage.onChanged.addListener(async (changes, areaName) => {
+        if (areaName === 'sync' && changes.enabledPages) {
+            enabledPages = await loadEnabledPages();
+            activeAdapterName = null;
+            updateActiveAdapter();
+        }
+        if (areaName === 'sync' && (changes.activePersonaId || changes.comparePersonaIds || changes.personaList)) {
+            comparePersonaIds = await loadComparePersonaIds();
+        }
+        if (areaName === 'sync' && (changes.activePersonaId || changes.comparePersonaIds)) {
+            rescoreCards();
+        }
+        if (areaName === 'sync' && changes.activePersonaId) {
+            rescoreProfilePage();
+        }
+        if (areaName === 'sync' && isPersonaChange(changes)) {
+            loadToolbarSettings();
+        }
+    });
+    
     console.log('LinkedIn Lead Scorer: Content script initialized');
 }
 
 /**
- * Check if current page is the invitation manager
+ * Pick the adapter for the current URL and process its cards when the page changes
  */
-function isInvitationManagerPage() {
-    return window.location.href.includes('/mynetwork/invitation-manager/received');
+function updateActiveAdapter() {
+    const name = getPageAdapterName(window.location.pathname);
+    const adapterName = name && enabledPages[name] ? name : null;
+    if (adapterName === activeAdapterName) {
+        return;
+    }
+    
+    activeAdapterName = adapterName;
+    activeAdapter = adapterName ? PAGE_ADAPTERS[adapterName] : null;
+    processedCards.clear();
+    
+    if (!activeAdapter) {
+        console.log(`LinkedIn Lead Scorer: ${name ? 'Scoring is switched off for this page' : 'No profile cards to score on this page'}`);
+        return;
+    }
+    
+    console.log(`LinkedIn Lead Scorer: Scoring ${activeAdapter.label.toLowerCase()}`);
+    processExistingCards();
+    
+    // Add bulk accept/ignore controls above the list
+    if (activeAdapter.bulkActions) {
+        injectBulkActionToolbar();
+    }
 }
 
 /**
- * Process invitation cards that are already on the page
+ * Process cards that are already on the page
  */
 function processExistingCards() {
-    const cards = findInvitationCards();
-    console.log(`LinkedIn Lead Scorer: Found ${cards.length} existing invitation cards`);
+    const cards = findCards();
+    console.log(`LinkedIn Lead Scorer: Found ${cards.length} existing cards`);
     
     cards.forEach(card => {
         if (!isCardProcessed(card)) {
-            processInvitationCard(card);
+            processCard(card);
         }
     });
 }
 
 /**
- * Set up MutationObserver to watch for new invitation cards
+ * Set up MutationObserver to watch for new cards
  */
 function setupMutationObserver() {
     const observer = new MutationObserver((mutations) => {
+        // LinkedIn may have navigated to another page in place
+        updateActiveAdapter();
+        updateProfilePage();
+        if (!activeAdapter) {
+            return;
+        }
+        
         let newCardsFound = false;
         
         mutations.forEach((mutation) => {
             mutation.addedNodes.forEach((node) => {
                 if (node.nodeType === Node.ELEMENT_NODE) {
-                    // Check if the added node is an invitation card
-                    if (isInvitationCard(node)) {
+                    // Check if the added node is a card
+                    if (isCard(node)) {
                         if (!isCardProcessed(node)) {
-                            processInvitationCard(node);
+                            processCard(node);
                             newCardsFound = true;
                         }
                     }
                     
-                    // Check if the added node contains invitation cards
+                    // Check if the added node contains cards
                     const cards = node.querySelectorAll ? 
-                        Array.from(node.querySelectorAll(SELECTORS.invitationCard)) : [];
+                        Array.from(node.querySelectorAll(activeAdapter.selectors.card)) : [];
                     
                     cards.forEach(card => {
                         if (!isCardProcessed(card)) {
-                            processInvitationCard(card);
+                            processCard(card);
                             newCardsFound = true;
                         }
                     });
@@ -95,7 +156,12 @@ function setupMutationObserver() {
         });
         
         if (newCardsFound) {
-            console.log('LinkedIn Lead Scorer: Processed new invitation cards');
+            console.log('LinkedIn Lead Scorer: Processed new cards');
+            
+            // The list may render after the initial pass
+            if (activeAdapter.bulkActions) {
+                injectBulkActionToolbar();
+            }
         }
     });
     
@@ -109,16 +175,52 @@ function setupMutationObserver() {
 }
 
 /**
- * Find all invitation cards on the page
+ * Score every card again after a persona switch; cached scores come back without an API call
+ */
+function rescoreCards() {
+    scoreGeneration++;
+    
+    document.querySelectorAll('.lead-scorer-details').forEach(panel => panel.remove());
+    document.querySelectorAll('[data-lead-scorer-card]').forEach(clearCardScore);
+    
+    processedCards.clear();
+    processExistingCards();
+}
+
+/**
+ * Score one card again; `refresh` asks the provider instead of reusing the cached score
+ */
+function rescoreCard(card, refresh) {
+    clearCardScore(card);
+    processedCards.delete(card.dataset.leadScorerCard);
+    processCard(card, { refresh: refresh });
+}
+
+/**
+ * Remove a card's badges and recorded scores
  */
-function findInvitationCards() {
+function clearCardScore(card) {
+    pendingBadges.delete(card.dataset.leadScorerCard);
+    card.querySelectorAll('.lead-scorer-badge-group, .lead-scorer-badge').forEach(badge => badge.remove());
+    delete card.dataset.leadScore;
+    delete card.dataset.leadScoreMax;
+}
+
+/**
+ * Find all cards for the active adapter on the page
+ */
+function findCards() {
+    if (!activeAdapter) {
+        return [];
+    }
+    
     const cards = [];
     
-    // Try multiple selectors to find invitation cards
-    Object.values(SELECTORS.invitationCard.split(', ')).forEach(selector => {
+    // Try multiple selectors to find cards
+    Object.values(activeAdapter.selectors.card.split(', ')).forEach(selector => {
         const foundCards = document.querySelectorAll(selector);
         foundCards.forEach(card => {
-            if (!cards.includes(card) && isValidInvitationCard(card)) {
+            if (!cards.includes(card) && isValidCard(card)) {
                 cards.push(card);
             }
         });
@@ -128,18 +230,18 @@ function findInvitationCards() {
 }
 
 /**
- * Check if an element is an invitation card
+ * Check if an element is a card for the active adapter
  */
-function isInvitationCard(element) {
-    return SELECTORS.invitationCard.split(', ').some(selector => 
+function isCard(element) {
+    return activeAdapter.selectors.card.split(', ').some(selector => 
         element.matches && element.matches(selector)
-    ) && isValidInvitationCard(element);
+    ) && isValidCard(element);
 }
 
 /**
- * Validate that this is actually an invitation card with relevant content
+ * Validate that this is actually a profile card with relevant content
  */
-function isValidInvitationCard(card) {
+function isValidCard(card) {
     // Must have some text content
     const text = card.textContent.trim();
     if (!text || text.length < 10) return false;
@@ -147,13 +249,13 @@ function isValidInvitationCard(card) {
     // Should not already have a score
     if (card.querySelector('.lead-scorer-badge')) return false;
     
-    // Should contain typical invitation card elements
-    const hasAcceptButton = card.querySelector(SELECTORS.acceptButton);
-    const hasProfileContent = card.querySelector(SELECTORS.cardContent) || 
+    // Should contain typical card elements
+    const hasActionButton = card.querySelector(activeAdapter.selectors.actionButton);
+    const hasProfileContent = card.querySelector(activeAdapter.selectors.cardContent) || 
                              text.includes('mutual connection') || 
                              text.includes('connection');
     
-    return hasAcceptButton || hasProfileContent;
+    return hasActionButton || hasProfileContent;
 }
 
 /**
@@ -165,19 +267,82 @@ function isCardProcessed(card) {
 }
 
 /**
- * Generate a unique ID for a card based on its content
+ * Generate a unique ID for a card, preferring the inviter's profile URL
  */
 function getCardId(card) {
+    const profileLink = card.querySelector(CARD_FIELD_SELECTORS.profileLink);
+    const profileUrl = profileLink ? normalizeProfileUrl(profileLink.href) : '';
+    if (profileUrl) {
+        return profileUrl;
+    }
+    
+    // Fall back to the card content when no profile link is present
     const text = card.textContent.trim();
     const hash = text.substring(0, 100); // Use first 100 chars as identifier
     return btoa(hash).replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
 }
 
 /**
- * Process an individual invitation card
+ * Read the requested card from the URL fragment now and whenever it changes
+ */
+function watchRequestedCard() {
+    readRequestedCard();
+    window.addEventListener('hashchange', readRequestedCard);
+}
+
+/**
+ * Parse "#lead-scorer=<profile key>" and reveal the card if it is already on the page
+ */
+function readRequestedCard() {
+    const match = window.location.hash.match(/lead-scorer=([^&]+)/);
+    if (!match) {
+        return;
+    }
+    
+    try {
+        requestedProfileKey = decodeURIComponent(match[1]);
+    } catch (error) {
+        return;
+    }
+    
+    document.querySelectorAll('[data-lead-scorer-card]').forEach(revealIfRequested);
+}
+
+/**
+ * Scroll to and outline a card when it is the one a notification asked for
+ */
+function revealIfRequested(card) {
+    if (!requestedProfileKey || getProfileKeyFromUrl(card.dataset.leadScorerCard) !== requestedProfileKey) {
+        return;
+    }
+    
+    requestedProfileKey = null;
+    card.classList.add('lead-scorer-requested');
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Derive the profile key the background uses (e.g. "in:jane-doe") from a profile URL
+ */
+function getProfileKeyFromUrl(profileUrl) {
+    const match = (profileUrl || '').match(/\/in\/([^/?#]+)/);
+    if (!match) {
+        return null;
+    }
+    
+    try {
+        return `in:${decodeURIComponent(match[1]).toLowerCase()}`;
+    } catch (error) {
+        return `in:${match[1].toLowerCase()}`;
+    }
+}
+
+/**
+ * Process an individual card; `options.refresh` skips the score cache
  */
-async function processInvitationCard(card) {
+async function processCard(card, options = {}) {
     const cardId = getCardId(card);
+    const generation = scoreGeneration;
     
     try {
         // Mark as processed immediately to prevent duplicate processing
@@ -191,25 +356,71 @@ async function processInvitationCard(card) {
             return;
         }
         
-        // Add loading indicator
+        // Mark the card for list sorting and filtering
+        card.dataset.leadScorerCard = cardId;
+        revealIfRequested(card);
+        
+        // Add loading indicator; it shows "Queued" until the background starts the request
         const loadingBadge = createLoadingBadge();
         insertScoreBadge(card, loadingBadge);
+        pendingBadges.set(cardId, loadingBadge);
+        
+        // Fill in location, education and current position from the full profile, if switched on
+        const scoredData = await maybeEnrichProfileData(profileData);
         
         // Send profile data to background script for scoring
         const response = await chrome.runtime.sendMessage({
             type: 'scoreProfile',
-            profileData: profileData
+            requestId: cardId,
+            profileData: scoredData,
+            refresh: Boolean(options.refresh)
         });
         
+        // A persona switch may have restarted scoring while this card waited
+        if (generation !== scoreGeneration) {
+            return;
+        }
+        
         // Remove loading indicator
+        pendingBadges.delete(cardId);
         loadingBadge.remove();
         
+        // LinkedIn may have navigated away while the card was being scored
+        if (!activeAdapter || !document.body.contains(card)) {
+            return;
+        }
+        
         if (response.success) {
+            // Record the score on the card for bulk actions
+            card.dataset.leadScore = response.score;
+            card.dataset.leadScoreMax = response.score;
+            
             // Create and insert score badge
-            const scoreBadge = createScoreBadge(response.score, response.reasoning);
-            insertScoreBadge(card, scoreBadge);
+            const enrichmentNote = describeEnrichedFields(scoredData);
+            const scoreBadge = createScoreBadge(response.score, enrichmentNote ? `${response.reasoning}\n\n${enrichmentNote}` : response.reasoning, response.persona);
+            if (response.overridden) {
+                scoreBadge.classList.add('lead-scorer-overridden');
+            }
+            
+            // Clicking the badge opens the breakdown, rescore and override panel
+            attachScoreDetails(scoreBadge, card, scoredData, response);
+            
+            if (comparePersonaIds.length > 0) {
+                const badgeGroup = document.createElement('div');
+                badgeGroup.className = 'lead-scorer-badge-group';
+                badgeGroup.appendChild(scoreBadge);
+                insertScoreBadge(card, badgeGroup);
+                scoreComparisons(card, badgeGroup, cardId, scoredData, generation, options.refresh);
+            } else {
+                insertScoreBadge(card, scoreBadge);
+            }
             
             console.log(`LinkedIn Lead Scorer: Scored profile - Score: ${response.score}`);
+            
+            // Keep the list sorted and filtered as scores arrive
+            if (activeAdapter.bulkActions) {
+                scheduleListViewUpdate();
+            }
         } else {
             // Show error badge
             const errorBadge = createErrorBadge(response.error);
@@ -220,6 +431,14 @@ async function processInvitationCard(card) {
         
     } catch (error) {
         console.error('LinkedIn Lead Scorer: Error processing card:', error);
+        if (generation !== scoreGeneration) {
+            return;
+        }
+        
+        pendingBadges.delete(cardId);
+        if (!activeAdapter) {
+            return;
+        }
         
         // Remove loading badge if it exists
         const existingBadge = card.querySelector('.lead-scorer-badge');
@@ -234,56 +453,177 @@ async function processInvitationCard(card) {
 }
 
 /**
- * Extract profile data from invitation card
+ * Score a card under each comparison persona, adding a compact badge per persona to the group.
+ * The highest score is kept on the card so the list can sort by the best persona
+ */
+async function scoreComparisons(card, badgeGroup, cardId, profileData, generation, refresh) {
+    await Promise.all(comparePersonaIds.map(async personaId => {
+        const requestId = `${cardId}#${personaId}`;
+        
+        // Reserve the slot now so badges keep the persona order whatever order they finish in
+        const loadingBadge = createLoadingBadge();
+        loadingBadge.classList.add('lead-scorer-badge-compact');
+        badgeGroup.appendChild(loadingBadge);
+        pendingBadges.set(requestId, loadingBadge);
+        
+        let badge;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'scoreProfile',
+                requestId: requestId,
+                personaId: personaId,
+                profileData: profileData,
+                refresh: Boolean(refresh)
+            });
+            
+            if (response.success) {
+                badge = createScoreBadge(response.score, response.reasoning, response.persona);
+                if (generation === scoreGeneration) {
+                    card.dataset.leadScoreMax = Math.max(Number(card.dataset.leadScoreMax), response.score);
+                }
+            } else {
+                badge = createErrorBadge(response.error);
+            }
+        } catch (error) {
+            console.error('LinkedIn Lead Scorer: Error scoring comparison:', error);
+            badge = createErrorBadge('Processing failed');
+        } finally {
+            pendingBadges.delete(requestId);
+        }
+        
+        badge.classList.add('lead-scorer-badge-compact');
+        loadingBadge.replaceWith(badge);
+    }));
+    
+    if (generation === scoreGeneration && activeAdapter && activeAdapter.bulkActions) {
+        scheduleListViewUpdate();
+    }
+}
+
+/**
+ * Extract structured profile fields from a card using the active adapter's selectors
  */
 function extractProfileData(card) {
-    // Get all text content from the card
-    const textContent = card.textContent.trim();
+    const selectors = activeAdapter.selectors;
     
     // Check for profile image
-    const profileImg = card.querySelector(SELECTORS.profileImage);
-    const hasProfilePic = profileImg && 
+    const profileImg = card.querySelector(selectors.profileImage);
+    const hasProfilePic = Boolean(profileImg) && 
                          !profileImg.src.includes('ghost-person') && 
                          !profileImg.src.includes('default-avatar') &&
                          !profileImg.alt.toLowerCase().includes('default');
     
-    // Clean up the text content
-    const cleanedText = textContent
-        .replace(/\s+/g, ' ')
-        .replace(/\n+/g, '\n')
-        .trim();
+    const profileLink = card.querySelector(selectors.profileLink);
+    const caption = getElementText(card, selectors.caption);
+    const name = getElementText(card, selectors.name) || (profileLink ? getCardText(profileLink) : '');
     
     return {
-        text: cleanedText,
-        hasProfilePic: hasProfilePic
+        page: activeAdapterName,
+        name: name,
+        headline: getElementText(card, selectors.headline),
+        profileUrl: profileLink ? normalizeProfileUrl(profileLink.href) : '',
+        mutualConnections: parseMutualConnections(caption || card.textContent),
+        message: getElementText(card, selectors.message),
+        location: getElementText(card, selectors.location),
+        hasProfilePic: hasProfilePic,
+        text: getCardText(card)
     };
 }
 
+/**
+ * Get the cleaned text of the first element matching a selector; empty selectors match nothing
+ */
+function getElementText(root, selector) {
+    const element = selector ? root.querySelector(selector) : null;
+    return element ? cleanText(element.textContent) : '';
+}
+
+/**
+ * Get card text without button labels or our own badges
+ */
+function getCardText(card) {
+    const clone = card.cloneNode(true);
+    clone.querySelectorAll('button, .lead-scorer-badge, .visually-hidden').forEach(element => element.remove());
+    return cleanText(clone.textContent);
+}
+
+/**
+ * Collapse whitespace in extracted text
+ */
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a profile link to https://www.linkedin.com/in/<slug>/
+ */
+function normalizeProfileUrl(href) {
+    try {
+        const url = new URL(href, window.location.origin);
+        const match = url.pathname.match(/^\/in\/([^/]+)/);
+        return match ? `${url.origin}/in/${match[1]}/` : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Parse the mutual connection count from a card caption
+ */
+function parseMutualConnections(text) {
+    const cleaned = cleanText(text);
+    
+    // "Jane Doe and 12 other mutual connections"
+    const otherMatch = cleaned.match(/and ([\d,]+) other mutual connections?/i);
+    if (otherMatch) {
+        return parseInt(otherMatch[1].replace(/,/g, ''), 10) + 1;
+    }
+    
+    // "12 mutual connections"
+    const countMatch = cleaned.match(/([\d,]+) mutual connections?/i);
+    if (countMatch) {
+        return parseInt(countMatch[1].replace(/,/g, ''), 10);
+    }
+    
+    // "Jane Doe is a mutual connection"
+    return /is a mutual connection/i.test(cleaned) ? 1 : 0;
+}
+
 /**
  * Create loading badge element
  */
 function createLoadingBadge() {
     const badge = document.createElement('div');
-    badge.className = 'lead-scorer-badge lead-scorer-loading';
+    badge.className = 'lead-scorer-badge lead-scorer-loading lead-scorer-queued';
     badge.innerHTML = `
         <div class="lead-scorer-spinner"></div>
-        <span>Scoring...</span>
+        <span class="lead-scorer-loading-text">Queued</span>
     `;
     return badge;
 }
 
 /**
- * Create score badge element
+ * Switch a loading badge between the queued and scoring states
  */
-function createScoreBadge(score, reasoning) {
+function updateLoadingBadge(badge, state) {
+    const scoring = state === 'scoring';
+    badge.classList.toggle('lead-scorer-queued', !scoring);
+    badge.querySelector('.lead-scorer-loading-text').textContent = scoring ? 'Scoring...' : 'Queued';
+}
+
+/**
+ * Create score badge element, labelled with the persona that scored it when there are several
+ */
+function createScoreBadge(score, reasoning, persona) {
     const badge = document.createElement('div');
     badge.className = `lead-scorer-badge lead-scorer-score ${getScoreClass(score)}`;
-    badge.title = reasoning;
+    badge.title = persona ? `${persona}: ${reasoning}` : reasoning;
     
     badge.innerHTML = `
         <div class="lead-scorer-score-value">${score}</div>
-        <div class="lead-scorer-label">Lead Score</div>
+        <div class="lead-scorer-label"></div>
     `;
+    badge.querySelector('.lead-scorer-label').textContent = persona || 'Lead Score';
     
     return badge;
 }
@@ -305,32 +645,21 @@ function createErrorBadge(error) {
 }
 
 /**
- * Get CSS class based on score value
- */
-function getScoreClass(score) {
-    if (score >= 20) return 'score-excellent';
-    if (score >= 10) return 'score-good';
-    if (score >= 5) return 'score-fair';
-    if (score >= 0) return 'score-poor';
-    return 'score-negative';
-}
-
-/**
- * Insert score badge into invitation card
+ * Insert score badge into a card, next to the adapter's action button where there is one
  */
 function insertScoreBadge(card, badge) {
     // Try to find the best location for the badge
     let insertLocation = null;
     
-    // Look for accept button first
-    const acceptButton = card.querySelector(SELECTORS.acceptButton);
-    if (acceptButton) {
-        insertLocation = acceptButton.parentElement;
+    // Look for the card's action button (Accept, Withdraw, Connect...) first
+    const actionButton = card.querySelector(activeAdapter.selectors.actionButton);
+    if (actionButton) {
+        insertLocation = actionButton.parentElement;
     }
     
     // Fall back to card content area
     if (!insertLocation) {
-        insertLocation = card.querySelector(SELECTORS.cardContent) || card;
+        insertLocation = card.querySelector(activeAdapter.selectors.cardContent) || card;
     }
     
     // Insert the badge
@@ -341,12 +670,17 @@ function insertScoreBadge(card, badge) {
     }
 }
 
-// Handle extension updates/reloads
+// Handle extension updates/reloads and queue progress
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === 'extensionReloaded') {
         // Clear processed cards cache and re-process
         processedCards.clear();
         processExistingCards();
+    } else if (request.type === 'scoringState') {
+        const badge = pendingBadges.get(request.requestId);
+        if (badge) {
+            updateLoadingBadge(badge, request.state);
+        }
     }
 });
 
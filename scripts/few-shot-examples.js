@@ -0,0 +1,233 @@
+// Few-shot examples for LinkedIn Lead Scorer
+// Profiles pinned with the score we want for them, shown to the model alongside the rubric.
+// Loaded by the background service worker (importScripts), the content script, the popup,
+// the history page and the calibration page; needs scoring.js for the profile fields
+
+// One chrome.storage.local item per pinned profile, keyed like the lead history
+const FEW_SHOT_EXAMPLE_PREFIX = 'fewShotExample:';
+const MAX_FEW_SHOT_EXAMPLES = 100;
+
+// chrome.storage.local: the profile keys of every pinned example, so loading them never reads the whole store
+const FEW_SHOT_INDEX_KEY = 'fewShotExampleIndex';
+
+// Same bounds as manual score overrides
+const MAX_EXAMPLE_SCORE = 10000;
+
+// Prompt space for examples, in estimated tokens; 0 leaves them out of the prompt
+const FEW_SHOT_DEFAULTS = {
+    tokenBudget: 500
+};
+const MAX_FEW_SHOT_TOKEN_BUDGET = 4000;
+
+// Words shorter than this carry no signal when comparing profiles
+const MIN_RELEVANCE_WORD_LENGTH = 3;
+
+// Profile fields compared when ranking examples by relevance
+const RELEVANCE_FIELDS = ['headline', 'location', 'currentPosition', 'education', 'about'];
+
+const FEW_SHOT_PROMPT_INTRO = 'Examples of profiles we have already scored by hand. Score new profiles consistently with them, while still following the rules above:';
+
+/**
+ * Pin a profile as an example with the score we want the model to give it
+ */
+async function saveFewShotExample(profileKey, profileData, score) {
+    if (!Number.isInteger(score) || Math.abs(score) > MAX_EXAMPLE_SCORE) {
+        throw new Error(`Example score must be a whole number between -${MAX_EXAMPLE_SCORE} and ${MAX_EXAMPLE_SCORE}`);
+    }
+
+    const storageKey = FEW_SHOT_EXAMPLE_PREFIX + profileKey;
+    const existing = await getFewShotExample(profileKey);
+    const index = await loadFewShotIndex();
+    if (!existing && index.length >= MAX_FEW_SHOT_EXAMPLES) {
+        throw new Error(`At most ${MAX_FEW_SHOT_EXAMPLES} examples can be pinned`);
+    }
+
+    await chrome.storage.local.set({
+        [storageKey]: {
+            profileKey: profileKey,
+            profile: getExampleProfile(profileData),
+            score: score,
+            pinnedAt: existing ? existing.pinnedAt : Date.now()
+        },
+        [FEW_SHOT_INDEX_KEY]: index.includes(profileKey) ? index : index.concat(profileKey)
+    });
+}
+
+/**
+ * Keep only the profile fields the prompt uses, so examples stay small
+ */
+function getExampleProfile(profileData) {
+    const profile = {
+        profileUrl: profileData.profileUrl,
+        hasProfilePic: Boolean(profileData.hasProfilePic)
+    };
+
+    PROFILE_PROMPT_FIELDS.forEach(([key]) => {
+        if (profileData[key] !== undefined && profileData[key] !== '') {
+            profile[key] = profileData[key];
+        }
+    });
+    if (!profileData.headline && profileData.text) {
+        profile.text = profileData.text;
+    }
+
+    return profile;
+}
+
+/**
+ * Read a desired score typed by the user, or NaN when it is not a whole number in range
+ */
+function parseExampleScore(value) {
+    const score = Number(String(value).trim());
+    return String(value).trim() !== '' && Number.isInteger(score) && Math.abs(score) <= MAX_EXAMPLE_SCORE ? score : NaN;
+}
+
+/**
+ * Load a single example, or null when the profile is not pinned
+ */
+async function getFewShotExample(profileKey) {
+    const storageKey = FEW_SHOT_EXAMPLE_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(storageKey);
+    return stored[storageKey] || null;
+}
+
+/**
+ * Load the profile keys of every pinned example. Builds the index from a full scan once when
+ * it is missing, for examples pinned before it existed
+ */
+async function loadFewShotIndex() {
+    const { [FEW_SHOT_INDEX_KEY]: index } = await chrome.storage.local.get(FEW_SHOT_INDEX_KEY);
+    if (index) {
+        return index;
+    }
+
+    const everything = await chrome.storage.local.get(null);
+    const rebuilt = Object.keys(everything)
+        .filter(key => key.startsWith(FEW_SHOT_EXAMPLE_PREFIX))
+        .map(key => everything[key].profileKey);
+    await chrome.storage.local.set({ [FEW_SHOT_INDEX_KEY]: rebuilt });
+    return rebuilt;
+}
+
+/**
+ * Load every pinned example, oldest first
+ */
+async function loadFewShotExamples() {
+    const index = await loadFewShotIndex();
+    if (index.length === 0) {
+        return [];
+    }
+
+    const stored = await chrome.storage.local.get(index.map(profileKey => FEW_SHOT_EXAMPLE_PREFIX + profileKey));
+    return Object.values(stored).sort((a, b) => a.pinnedAt - b.pinnedAt);
+}
+
+/**
+ * Unpin an example
+ */
+async function removeFewShotExample(profileKey) {
+    const index = await loadFewShotIndex();
+    await chrome.storage.local.remove(FEW_SHOT_EXAMPLE_PREFIX + profileKey);
+    await chrome.storage.local.set({ [FEW_SHOT_INDEX_KEY]: index.filter(key => key !== profileKey) });
+}
+
+/**
+ * Load the token budget for examples in the prompt
+ */
+async function loadFewShotTokenBudget() {
+    const { fewShotTokenBudget } = await chrome.storage.sync.get('fewShotTokenBudget');
+    return fewShotTokenBudget ?? FEW_SHOT_DEFAULTS.tokenBudget;
+}
+
+/**
+ * Build the examples block for the profiles being scored, or '' when there is nothing to add.
+ * The profiles themselves are never used as their own examples; `prepareProfile` redacts each example
+ */
+async function buildFewShotPrompt(profileKeys, profiles, prepareProfile = (profile) => profile) {
+    const tokenBudget = await loadFewShotTokenBudget();
+    if (tokenBudget <= 0) {
+        return '';
+    }
+
+    // Reads only the index when nothing is pinned
+    const examples = (await loadFewShotExamples())
+        .filter(example => !profileKeys.includes(example.profileKey))
+        .map(example => ({ ...example, profile: prepareProfile(example.profile) }));
+    return formatFewShotExamples(selectFewShotExamples(examples, profiles, tokenBudget));
+}
+
+/**
+ * Pick the examples most similar to the profiles being scored that fit in the token budget
+ */
+function selectFewShotExamples(examples, profiles, tokenBudget) {
+    const targets = profiles.map(getRelevanceWords);
+    const ranked = examples
+        .map(example => ({
+            example: example,
+            relevance: Math.max(0, ...targets.map(words => getWordOverlap(getRelevanceWords(example.profile), words)))
+        }))
+        // Equally relevant examples: the most recently pinned first
+        .sort((a, b) => b.relevance - a.relevance || b.example.pinnedAt - a.example.pinnedAt);
+
+    const selected = [];
+    let tokens = estimateTokens(FEW_SHOT_PROMPT_INTRO);
+
+    ranked.forEach(({ example }) => {
+        const cost = estimateTokens(formatFewShotExample(example));
+        if (tokens + cost <= tokenBudget) {
+            selected.push(example);
+            tokens += cost;
+        }
+    });
+
+    return selected;
+}
+
+/**
+ * Get the distinct lowercase words of the fields used to compare profiles
+ */
+function getRelevanceWords(profileData) {
+    const text = RELEVANCE_FIELDS.map(field => profileData[field]).filter(Boolean).join(' ') || profileData.text || '';
+    return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= MIN_RELEVANCE_WORD_LENGTH));
+}
+
+/**
+ * Share of words two profiles have in common (0 to 1)
+ */
+function getWordOverlap(a, b) {
+    const shared = [...a].filter(word => b.has(word)).length;
+    const total = new Set([...a, ...b]).size;
+    return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Estimate the tokens a piece of prompt text costs (about four characters per token)
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Render selected examples as the block added to the scoring prompt
+ */
+function formatFewShotExamples(examples) {
+    if (examples.length === 0) {
+        return '';
+    }
+
+    return `${FEW_SHOT_PROMPT_INTRO}\n\n${examples.map(formatFewShotExample).join('\n\n')}`;
+}
+
+/**
+ * Add the examples block to a scoring prompt; each provider's formatRequest decides where the prompt goes
+ */
+function appendFewShotExamples(prompt, examples) {
+    return examples ? `${prompt}\n\n${examples}` : prompt;
+}
+
+/**
+ * Render a single example with its desired score
+ */
+function formatFewShotExample(example) {
+    return `Example (totalScore: ${example.score}):\n${formatProfileData(example.profile)}`;
+}
@@ -0,0 +1,261 @@
+// API key storage for LinkedIn Lead Scorer
+// By default each persona's key is a persona setting in chrome.storage.sync, like its other settings.
+// With encryption on, keys live only in chrome.storage.local, encrypted (AES-GCM) with a key derived
+// from a passphrase (PBKDF2). Unlocking keeps the derived key in chrome.storage.session, which is held
+// in memory and cleared when the browser closes.
+// Loaded by the background service worker (importScripts) and the popup; needs personas.js
+
+// chrome.storage.local: salt and a known value encrypted with the passphrase, to check it on unlock
+const KEY_VAULT_KEY = 'apiKeyVault';
+
+// chrome.storage.local: one encrypted key per persona, under ENCRYPTED_API_KEY_PREFIX from personas.js
+
+// chrome.storage.session: the derived key while unlocked
+const VAULT_SESSION_KEY = 'apiKeyVaultKey';
+
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const VAULT_CHECK_TEXT = 'linkedin-lead-scorer';
+
+/**
+ * Check whether API keys are encrypted on this device
+ */
+async function isKeyVaultEnabled() {
+    const stored = await chrome.storage.local.get(KEY_VAULT_KEY);
+    return Boolean(stored[KEY_VAULT_KEY]);
+}
+
+/**
+ * Check whether the passphrase has been entered this browser session
+ */
+async function isKeyVaultUnlocked() {
+    const stored = await chrome.storage.session.get(VAULT_SESSION_KEY);
+    return Boolean(stored[VAULT_SESSION_KEY]);
+}
+
+/**
+ * Switch encryption on: encrypt every persona's key with the passphrase, then remove the keys from sync
+ */
+async function enableKeyVault(passphrase) {
+    if ((passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    if (await isKeyVaultEnabled()) {
+        throw new Error('API keys are already encrypted');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveVaultKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const personas = await loadPersonas();
+
+    // Write the encrypted copies before clearing the synced ones, so a failure loses nothing
+    for (const persona of personas) {
+        const settings = await loadPersonaSettings(persona.id);
+        if (settings.apiKey) {
+            await chrome.storage.local.set({ [ENCRYPTED_API_KEY_PREFIX + persona.id]: await encryptText(key, settings.apiKey) });
+        }
+    }
+    await chrome.storage.local.set({
+        [KEY_VAULT_KEY]: {
+            salt: bytesToBase64(salt),
+            iterations: PBKDF2_ITERATIONS,
+            check: await encryptText(key, VAULT_CHECK_TEXT)
+        }
+    });
+    await storeSessionKey(key);
+
+    for (const persona of personas) {
+        await savePersonaSettings(persona.id, { apiKey: '' });
+    }
+}
+
+/**
+ * Unlock the encrypted keys for this browser session
+ */
+async function unlockKeyVault(passphrase) {
+    const stored = await chrome.storage.local.get(KEY_VAULT_KEY);
+    const vault = stored[KEY_VAULT_KEY];
+    if (!vault) {
+        throw new Error('API keys are not encrypted');
+    }
+
+    const key = await deriveVaultKey(passphrase || '', base64ToBytes(vault.salt), vault.iterations);
+    try {
+        await decryptText(key, vault.check);
+    } catch (error) {
+        throw new Error('Wrong passphrase');
+    }
+    await storeSessionKey(key);
+}
+
+/**
+ * Lock the encrypted keys until the passphrase is entered again
+ */
+async function lockKeyVault() {
+    await chrome.storage.session.remove(VAULT_SESSION_KEY);
+}
+
+/**
+ * Switch encryption off: put every persona's key back in sync and remove the encrypted copies. Must be unlocked
+ */
+async function disableKeyVault() {
+    const key = await loadSessionKey();
+    const personas = await loadPersonas();
+
+    for (const persona of personas) {
+        const stored = await chrome.storage.local.get(ENCRYPTED_API_KEY_PREFIX + persona.id);
+        const encrypted = stored[ENCRYPTED_API_KEY_PREFIX + persona.id];
+        if (encrypted) {
+            await savePersonaSettings(persona.id, { apiKey: await decryptText(key, encrypted) });
+        }
+    }
+    await removeKeyVault();
+}
+
+/**
+ * Delete the encrypted keys and switch encryption off, for when the passphrase is forgotten
+ */
+async function removeKeyVault() {
+    const personaIds = new Set((await loadPersonas()).map(persona => persona.id).concat(DEFAULT_PERSONA.id));
+    const keys = [...personaIds].map(personaId => ENCRYPTED_API_KEY_PREFIX + personaId);
+    await chrome.storage.local.remove(keys.concat(KEY_VAULT_KEY));
+    await lockKeyVault();
+}
+
+/**
+ * Load a persona's API key ('' when none is saved); throws when it is encrypted and locked
+ */
+async function loadApiKey(personaId, settings) {
+    if (!await isKeyVaultEnabled()) {
+        return settings.apiKey || '';
+    }
+
+    const storageKey = ENCRYPTED_API_KEY_PREFIX + personaId;
+    const stored = await chrome.storage.local.get(storageKey);
+    if (!stored[storageKey]) {
+        return '';
+    }
+
+    return decryptText(await loadSessionKey(), stored[storageKey]);
+}
+
+/**
+ * Check whether a persona has an API key saved, without decrypting it
+ */
+async function hasApiKey(personaId, settings) {
+    if (!await isKeyVaultEnabled()) {
+        return Boolean(settings.apiKey);
+    }
+
+    const storageKey = ENCRYPTED_API_KEY_PREFIX + personaId;
+    const stored = await chrome.storage.local.get(storageKey);
+    return Boolean(stored[storageKey]);
+}
+
+/**
+ * Save a persona's API key where the storage mode says; encrypted saves must be unlocked
+ */
+async function saveApiKey(personaId, apiKey) {
+    if (!await isKeyVaultEnabled()) {
+        await savePersonaSettings(personaId, { apiKey: apiKey });
+        return;
+    }
+
+    if (!apiKey) {
+        await chrome.storage.local.remove(ENCRYPTED_API_KEY_PREFIX + personaId);
+        return;
+    }
+
+    const encrypted = await encryptText(await loadSessionKey(), apiKey);
+    await chrome.storage.local.set({ [ENCRYPTED_API_KEY_PREFIX + personaId]: encrypted });
+}
+
+/**
+ * Remove a persona's API key from wherever it is stored
+ */
+async function forgetApiKey(personaId) {
+    await chrome.storage.local.remove(ENCRYPTED_API_KEY_PREFIX + personaId);
+    await savePersonaSettings(personaId, { apiKey: '' });
+}
+
+/**
+ * Give a new persona the same encrypted key as the persona it was copied from
+ */
+async function copyApiKey(fromPersonaId, toPersonaId) {
+    const stored = await chrome.storage.local.get(ENCRYPTED_API_KEY_PREFIX + fromPersonaId);
+    const encrypted = stored[ENCRYPTED_API_KEY_PREFIX + fromPersonaId];
+    if (encrypted) {
+        await chrome.storage.local.set({ [ENCRYPTED_API_KEY_PREFIX + toPersonaId]: encrypted });
+    }
+}
+
+/**
+ * Mask an API key for display, keeping the last four characters
+ */
+function maskApiKey(apiKey) {
+    return apiKey.length > 8 ? `••••••••${apiKey.slice(-4)}` : '••••••••';
+}
+
+/**
+ * Derive the AES-GCM key from a passphrase; extractable so it can be kept for the session
+ */
+async function deriveVaultKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Keep the derived key in session storage for the rest of the browser session
+ */
+async function storeSessionKey(key) {
+    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+    await chrome.storage.session.set({ [VAULT_SESSION_KEY]: bytesToBase64(raw) });
+}
+
+/**
+ * Load the derived key from session storage; throws when locked
+ */
+async function loadSessionKey() {
+    const stored = await chrome.storage.session.get(VAULT_SESSION_KEY);
+    if (!stored[VAULT_SESSION_KEY]) {
+        throw new Error('API keys are locked. Enter your passphrase in the extension popup to unlock them.');
+    }
+    return crypto.subtle.importKey('raw', base64ToBytes(stored[VAULT_SESSION_KEY]), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Encrypt text with a fresh IV, as {iv, data} in base64
+ */
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt {iv, data} from encryptText; throws when the key is wrong
+ */
+async function decryptText(key, payload) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(payload.iv) }, key, base64ToBytes(payload.data));
+    return new TextDecoder().decode(data);
+}
+
+/**
+ * Encode bytes as base64
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 to bytes
+ */
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,184 @@
+// Lead history for LinkedIn Lead Scorer
+// Loaded by the background service worker (importScripts), the history and calibration pages and the popup
+
+// One chrome.storage.local item per profile, keyed like the score cache
+const LEAD_HISTORY_PREFIX = 'leadHistory:';
+
+// Profile keys of every lead, least recently scored first, so the history loads without a full scan
+const LEAD_HISTORY_INDEX_KEY = 'leadHistoryIndex';
+
+// Least recently scored leads are dropped beyond this, keeping the history well inside the storage quota
+const MAX_LEAD_HISTORY_ENTRIES = 2000;
+
+// Actions recorded against a lead, matching the bulk action names in the content script
+const LEAD_ACTIONS = {
+    accept: 'Accepted',
+    ignore: 'Ignored'
+};
+
+// Manual scores must stay within what a rubric could plausibly produce
+const MAX_OVERRIDE_SCORE = 10000;
+
+// Leads are scored concurrently, so index updates are chained to keep any from being lost
+let leadHistoryIndexWrites = Promise.resolve();
+
+/**
+ * Record the latest score for a profile, keeping any action already taken and any manual override
+ */
+async function recordScoredLead(profileKey, profileData, score) {
+    const storageKey = LEAD_HISTORY_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(storageKey);
+    const existing = stored[storageKey] || {};
+
+    await chrome.storage.local.set({
+        [storageKey]: {
+            profileKey: profileKey,
+            profile: profileData,
+            score: score.score,
+            reasoning: score.reasoning,
+            breakdown: score.breakdown,
+            provider: score.provider,
+            model: score.model,
+            persona: score.persona || null,
+            scoredAt: score.scoredAt,
+            firstScoredAt: existing.firstScoredAt || score.scoredAt,
+            action: existing.action || null,
+            actionAt: existing.actionAt || null,
+            actionScore: existing.actionScore ?? null,
+            overrideScore: existing.overrideScore ?? null,
+            overrideAt: existing.overrideAt || null,
+            inbound: Boolean(existing.inbound) || isInboundLead(profileData)
+        }
+    });
+    await addToLeadHistoryIndex(profileKey);
+}
+
+/**
+ * Move a profile to the end of the index and drop the least recently scored leads beyond MAX_LEAD_HISTORY_ENTRIES
+ */
+function addToLeadHistoryIndex(profileKey) {
+    const write = leadHistoryIndexWrites.then(async () => {
+        const index = (await loadLeadHistoryIndex()).filter(key => key !== profileKey);
+        index.push(profileKey);
+
+        const evicted = index.splice(0, Math.max(0, index.length - MAX_LEAD_HISTORY_ENTRIES));
+        if (evicted.length > 0) {
+            await chrome.storage.local.remove(evicted.map(key => LEAD_HISTORY_PREFIX + key));
+        }
+        await chrome.storage.local.set({ [LEAD_HISTORY_INDEX_KEY]: index });
+    });
+    leadHistoryIndexWrites = write.catch(() => {});
+    return write;
+}
+
+/**
+ * Check whether a profile was scored from received invitations; other pages are outbound prospecting
+ */
+function isInboundLead(profileData) {
+    return !profileData.page || profileData.page === 'receivedInvitations';
+}
+
+/**
+ * Record an accept or ignore click against a scored profile; unscored profiles are skipped.
+ * The model's score at that moment is kept with it, since later rescoring replaces `score`
+ */
+async function recordLeadAction(profileKey, action) {
+    if (!LEAD_ACTIONS[action]) {
+        throw new Error(`Unknown lead action: ${action}`);
+    }
+
+    const storageKey = LEAD_HISTORY_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(storageKey);
+    if (!stored[storageKey]) {
+        return false;
+    }
+
+    await chrome.storage.local.set({
+        [storageKey]: {
+            ...stored[storageKey],
+            action: action,
+            actionAt: Date.now(),
+            actionScore: stored[storageKey].score
+        }
+    });
+    return true;
+}
+
+/**
+ * Set or clear (score null) a manual score that replaces the model's score; unscored profiles are skipped
+ */
+async function setLeadOverride(profileKey, score) {
+    if (score !== null && (!Number.isInteger(score) || Math.abs(score) > MAX_OVERRIDE_SCORE)) {
+        throw new Error(`Override must be a whole number between -${MAX_OVERRIDE_SCORE} and ${MAX_OVERRIDE_SCORE}`);
+    }
+
+    const storageKey = LEAD_HISTORY_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(storageKey);
+    if (!stored[storageKey]) {
+        return false;
+    }
+
+    await chrome.storage.local.set({
+        [storageKey]: { ...stored[storageKey], overrideScore: score, overrideAt: score === null ? null : Date.now() }
+    });
+    return true;
+}
+
+/**
+ * Get the score a lead counts as: the manual override when set, otherwise the model's score
+ */
+function getLeadScore(lead) {
+    return lead.overrideScore ?? lead.score;
+}
+
+/**
+ * Load a single lead from the history, or null when it has not been scored
+ */
+async function getLead(profileKey) {
+    const storageKey = LEAD_HISTORY_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(storageKey);
+    return stored[storageKey] || null;
+}
+
+/**
+ * Load the profile keys of every lead. Builds the index from a full scan once when it is
+ * missing, for leads scored before it existed
+ */
+async function loadLeadHistoryIndex() {
+    const { [LEAD_HISTORY_INDEX_KEY]: index } = await chrome.storage.local.get(LEAD_HISTORY_INDEX_KEY);
+    if (index) {
+        return index;
+    }
+
+    const everything = await chrome.storage.local.get(null);
+    const rebuilt = Object.keys(everything)
+        .filter(key => key.startsWith(LEAD_HISTORY_PREFIX))
+        .map(key => everything[key])
+        .sort((a, b) => a.scoredAt - b.scoredAt)
+        .map(lead => lead.profileKey);
+    await chrome.storage.local.set({ [LEAD_HISTORY_INDEX_KEY]: rebuilt });
+    return rebuilt;
+}
+
+/**
+ * Load every lead in the history
+ */
+async function loadLeadHistory() {
+    const index = await loadLeadHistoryIndex();
+    if (index.length === 0) {
+        return [];
+    }
+
+    const stored = await chrome.storage.local.get(index.map(profileKey => LEAD_HISTORY_PREFIX + profileKey));
+    return Object.values(stored);
+}
+
+/**
+ * Remove every lead from the history and return how many were removed
+ */
+async function clearLeadHistory() {
+    const index = await loadLeadHistoryIndex();
+    await chrome.storage.local.remove(index.map(profileKey => LEAD_HISTORY_PREFIX + profileKey));
+    await chrome.storage.local.set({ [LEAD_HISTORY_INDEX_KEY]: [] });
+    return index.length;
+}
@@ -0,0 +1,186 @@
+// List view controls for LinkedIn Lead Scorer
+// Sorts the invitation list by lead score and hides cards by threshold or score band
+
+const SCORE_BANDS = [
+    { value: '', label: 'All bands' },
+    { value: 'score-excellent', label: 'Excellent (20+)' },
+    { value: 'score-good', label: 'Good (10-19)' },
+    { value: 'score-fair', label: 'Fair (5-9)' },
+    { value: 'score-poor', label: 'Poor (0-4)' },
+    { value: 'score-negative', label: 'Negative (<0)' }
+];
+
+// With comparison personas, cards can be ranked by the active persona or by their best score
+const SORT_KEYS = [
+    { value: 'primary', label: 'Active persona' },
+    { value: 'max', label: 'Best persona' }
+];
+
+const listViewState = {
+    sortByScore: false,
+    sortKey: 'primary',
+    hideBelow: null,
+    band: ''
+};
+
+// Original position of each list item, so chronological order can be restored
+let nextListItemOrder = 0;
+let listViewTimer = null;
+
+/**
+ * Append the sort and filter controls to the toolbar
+ */
+async function appendListViewControls(toolbar) {
+    const row = document.createElement('div');
+    row.className = 'lead-scorer-toolbar-row lead-scorer-list-view';
+    row.innerHTML = `
+        <label class="lead-scorer-toolbar-check"><input type="checkbox" id="lead-scorer-sort"> Sort by score</label>
+        <label class="lead-scorer-sort-key" hidden>of <select id="lead-scorer-sort-key"></select></label>
+        <label>Hide below <input type="number" id="lead-scorer-hide-below" step="1" placeholder="—"></label>
+        <label>Show <select id="lead-scorer-band"></select></label>
+    `;
+
+    const sortKeySelect = row.querySelector('#lead-scorer-sort-key');
+    SORT_KEYS.forEach(key => {
+        const option = document.createElement('option');
+        option.value = key.value;
+        option.textContent = key.label;
+        sortKeySelect.appendChild(option);
+    });
+
+    const bandSelect = row.querySelector('#lead-scorer-band');
+    SCORE_BANDS.forEach(band => {
+        const option = document.createElement('option');
+        option.value = band.value;
+        option.textContent = band.label;
+        bandSelect.appendChild(option);
+    });
+
+    row.addEventListener('change', () => {
+        readListViewControls(row);
+        chrome.storage.sync.set({ listView: { ...listViewState } });
+        applyListView();
+    });
+
+    toolbar.querySelector('.lead-scorer-toolbar-row').after(row);
+
+    const { listView } = await chrome.storage.sync.get('listView');
+    Object.assign(listViewState, listView || {});
+    row.querySelector('#lead-scorer-sort').checked = listViewState.sortByScore;
+    sortKeySelect.value = listViewState.sortKey;
+    row.querySelector('#lead-scorer-hide-below').value = listViewState.hideBelow ?? '';
+    bandSelect.value = listViewState.band;
+    applyListView();
+}
+
+/**
+ * Read the control values into the list view state
+ */
+function readListViewControls(row) {
+    const hideBelow = row.querySelector('#lead-scorer-hide-below').value.trim();
+
+    listViewState.sortByScore = row.querySelector('#lead-scorer-sort').checked;
+    listViewState.sortKey = row.querySelector('#lead-scorer-sort-key').value;
+    listViewState.hideBelow = hideBelow === '' || !Number.isFinite(Number(hideBelow)) ? null : Number(hideBelow);
+    listViewState.band = row.querySelector('#lead-scorer-band').value;
+}
+
+/**
+ * Re-apply the list view shortly after cards are scored, batching bursts of updates
+ */
+function scheduleListViewUpdate() {
+    clearTimeout(listViewTimer);
+    listViewTimer = setTimeout(applyListView, 300);
+}
+
+/**
+ * Apply sorting and filtering to every invitation list on the page
+ */
+function applyListView() {
+    const containers = new Map();
+
+    document.querySelectorAll('[data-lead-scorer-card]').forEach(card => {
+        const item = getListItem(card);
+        if (!item || !item.parentElement) {
+            return;
+        }
+
+        if (item.dataset.leadScorerOrder === undefined) {
+            item.dataset.leadScorerOrder = nextListItemOrder++;
+        }
+
+        if (!containers.has(item.parentElement)) {
+            containers.set(item.parentElement, new Map());
+        }
+        containers.get(item.parentElement).set(item, card);
+    });
+
+    containers.forEach((cardsByItem, container) => {
+        cardsByItem.forEach((card, item) => {
+            item.classList.toggle('lead-scorer-hidden', !isCardVisible(card));
+        });
+        reorderListItems(container, Array.from(cardsByItem.keys()), cardsByItem);
+    });
+}
+
+/**
+ * Get the list item wrapping a card, or the card itself when it is not in a list
+ */
+function getListItem(card) {
+    return card.closest('li') || card;
+}
+
+/**
+ * Get the score a card is sorted and filtered by, or null when it is not scored yet
+ */
+function getCardListScore(card) {
+    const score = listViewState.sortKey === 'max' && card.dataset.leadScoreMax !== undefined
+        ? card.dataset.leadScoreMax
+        : card.dataset.leadScore;
+    return score === undefined ? null : Number(score);
+}
+
+/**
+ * Check a card against the hide threshold and band filter; unscored cards stay visible
+ */
+function isCardVisible(card) {
+    const score = getCardListScore(card);
+    if (score === null) {
+        return true;
+    }
+
+    if (listViewState.hideBelow !== null && score < listViewState.hideBelow) {
+        return false;
+    }
+
+    return !listViewState.band || getScoreClass(score) === listViewState.band;
+}
+
+/**
+ * Order items by score descending (unscored last), or restore their original order
+ */
+function reorderListItems(container, items, cardsByItem) {
+    const originalOrder = (item) => Number(item.dataset.leadScorerOrder);
+    const scoreOf = (item) => {
+        const score = getCardListScore(cardsByItem.get(item));
+        return score === null ? -Infinity : score;
+    };
+
+    const sorted = items.slice().sort((a, b) => {
+        if (listViewState.sortByScore && scoreOf(a) !== scoreOf(b)) {
+            return scoreOf(b) - scoreOf(a);
+        }
+        return originalOrder(a) - originalOrder(b);
+    });
+
+    // Only touch the DOM when the order actually changes
+    const current = Array.from(container.children).filter(child => cardsByItem.has(child));
+    if (sorted.every((item, index) => item === current[index])) {
+        return;
+    }
+
+    const marker = document.createComment('lead-scorer');
+    container.insertBefore(marker, current[0]);
+    sorted.forEach(item => container.insertBefore(item, marker));
+    marker.remove();
+}
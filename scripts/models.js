@@ -0,0 +1,27 @@
+// Model list for LinkedIn Lead Scorer
+// The models offered for each provider, with list prices used to estimate cost (see usage.js).
+// Loaded by the background service worker (importScripts) and the popup
+
+// Prices are USD per million input and output tokens; they can be changed in the popup
+const MODEL_CONFIGS = {
+    openai: [
+        { value: 'gpt-4o', label: 'GPT-4o', prices: { input: 2.5, output: 10 } },
+        { value: 'gpt-4o-mini', label: 'GPT-4o Mini', prices: { input: 0.15, output: 0.6 } },
+        { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', prices: { input: 0.5, output: 1.5 } }
+    ],
+    gemini: [
+        { value: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro', prices: { input: 1.25, output: 5 } },
+        { value: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash', prices: { input: 0.075, output: 0.3 } },
+        { value: 'gemini-pro', label: 'Gemini Pro', prices: { input: 0.5, output: 1.5 } }
+    ],
+    anthropic: [
+        { value: 'claude-3-5-sonnet-20241022', label: 'Claude 3.5 Sonnet', prices: { input: 3, output: 15 } },
+        { value: 'claude-3-haiku-20240307', label: 'Claude 3 Haiku', prices: { input: 0.25, output: 1.25 } },
+        { value: 'claude-3-opus-20240229', label: 'Claude 3 Opus', prices: { input: 15, output: 75 } }
+    ],
+    // Filled from the server's /v1/models list; self-hosted models cost nothing unless priced in the popup
+    custom: [],
+    local: [
+        { value: 'rules', label: 'Rule Engine' }
+    ]
+};
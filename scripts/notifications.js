@@ -0,0 +1,135 @@
+// Hot lead alerts for LinkedIn Lead Scorer
+// Toolbar badge with the count of unreviewed high scorers and desktop notifications for new ones
+
+const NOTIFICATION_DEFAULTS = {
+    enabled: false,
+    threshold: 20
+};
+
+const INVITATION_MANAGER_URL = 'https://www.linkedin.com/mynetwork/invitation-manager/received/';
+
+// Marks a profile as notified so each hot lead alerts only once
+const LEAD_NOTIFIED_PREFIX = 'leadNotified:';
+
+// Notification ids are the profile key with this prefix, so a click knows which card to open
+const LEAD_NOTIFICATION_PREFIX = 'lead:';
+
+// Notifications only render raster icons, so this is a PNG shipped with the extension
+const LEAD_NOTIFICATION_ICON = 'icons/icon128.png';
+
+const BADGE_COLOR = '#059669';
+const BADGE_UPDATE_DELAY_MS = 500;
+
+let badgeUpdateTimer = null;
+
+// Profiles with a notification being shown, so concurrent scores cannot both notify
+const notificationsInFlight = new Set();
+
+/**
+ * Load notification settings; the threshold belongs to the active persona
+ */
+async function loadNotificationConfig() {
+    const settings = await chrome.storage.sync.get(['notifyEnabled', 'quietHoursStart', 'quietHoursEnd']);
+    const persona = await loadActivePersona();
+    return {
+        enabled: settings.notifyEnabled ?? NOTIFICATION_DEFAULTS.enabled,
+        threshold: persona.settings.notifyThreshold ?? NOTIFICATION_DEFAULTS.threshold,
+        quietStart: settings.quietHoursStart || '',
+        quietEnd: settings.quietHoursEnd || ''
+    };
+}
+
+/**
+ * Recount hot leads shortly after a change, batching bursts of scores
+ */
+function scheduleHotLeadBadgeUpdate() {
+    clearTimeout(badgeUpdateTimer);
+    badgeUpdateTimer = setTimeout(() => {
+        updateHotLeadBadge().catch(error => {
+            console.error('Error updating badge:', error);
+        });
+    }, BADGE_UPDATE_DELAY_MS);
+}
+
+/**
+ * Show the number of leads at or above the threshold that have not been accepted or ignored
+ */
+async function updateHotLeadBadge() {
+    const config = await loadNotificationConfig();
+    const leads = await loadLeadHistory();
+    // Leads recorded before pages were tracked all came from received invitations
+    const count = leads.filter(lead => lead.inbound !== false && getLeadScore(lead) >= config.threshold && !lead.action).length;
+
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+    await chrome.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+}
+
+/**
+ * Notify about a lead the first time it scores at or above the threshold, outside quiet hours
+ */
+async function maybeNotifyHotLead(profileKey, profileData, entry) {
+    const config = await loadNotificationConfig();
+    if (!config.enabled || entry.score < config.threshold || isQuietTime(config, new Date())) {
+        return;
+    }
+
+    const notifiedKey = LEAD_NOTIFIED_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(notifiedKey);
+    const lead = await getLead(profileKey);
+    if (stored[notifiedKey] || (lead && lead.action) || notificationsInFlight.has(profileKey)) {
+        return;
+    }
+
+    notificationsInFlight.add(profileKey);
+    try {
+        await chrome.notifications.create(LEAD_NOTIFICATION_PREFIX + profileKey, {
+            type: 'basic',
+            iconUrl: chrome.runtime.getURL(LEAD_NOTIFICATION_ICON),
+            title: `Hot lead: ${profileData.name || 'Unknown'} (${entry.score})`,
+            message: profileData.headline || entry.reasoning,
+            contextMessage: 'Click to open the invitation'
+        });
+        await chrome.storage.local.set({ [notifiedKey]: Date.now() });
+    } finally {
+        notificationsInFlight.delete(profileKey);
+    }
+}
+
+/**
+ * Check whether a time falls inside quiet hours; ranges may cross midnight (e.g. 22:00-07:00)
+ */
+function isQuietTime(config, date) {
+    if (!config.quietStart || !config.quietEnd || config.quietStart === config.quietEnd) {
+        return false;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = parseTimeOfDay(config.quietStart);
+    const end = parseTimeOfDay(config.quietEnd);
+
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ */
+function parseTimeOfDay(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Open the invitation manager at the card a notification is about
+ */
+async function handleLeadNotificationClick(notificationId) {
+    if (!notificationId.startsWith(LEAD_NOTIFICATION_PREFIX)) {
+        return;
+    }
+
+    // The content script scrolls to the card named in the fragment once it loads
+    const profileKey = notificationId.substring(LEAD_NOTIFICATION_PREFIX.length);
+    await chrome.tabs.create({ url: `${INVITATION_MANAGER_URL}#lead-scorer=${encodeURIComponent(profileKey)}` });
+    await chrome.notifications.clear(notificationId);
+}
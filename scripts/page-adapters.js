@@ -0,0 +1,102 @@
+// Page adapters for LinkedIn Lead Scorer
+// Describe where profile cards appear on each LinkedIn page and where their badges go.
+// Loaded by the content script and the popup (for the per-page toggles)
+
+// Card field selectors shared by the invitation manager layouts; adapters override what differs
+const CARD_FIELD_SELECTORS = {
+    profileImage: 'img[alt*="profile"], .presence-entity__image img, .artdeco-entity-lockup__image img',
+    cardContent: '.artdeco-entity-lockup__content, .invitation-card__content',
+    profileLink: 'a[href*="/in/"]',
+    name: '.invitation-card__title, .artdeco-entity-lockup__title',
+    headline: '.invitation-card__subtitle, .artdeco-entity-lockup__subtitle',
+    caption: '.member-insights__reason, .invitation-card__common-connections, .artdeco-entity-lockup__caption',
+    location: '.invitation-card__location, .artdeco-entity-lockup__metadata',
+    message: '.invitation-card__custom-message, .invite-custom-message, [data-test-invitation-custom-message]'
+};
+
+// One adapter per page: `path` matches the URL path, `card` finds cards, `list` is where the
+// toolbar goes, and badges are placed next to the card's `actionButton`
+const PAGE_ADAPTERS = {
+    receivedInvitations: {
+        label: 'Received invitations',
+        enabledByDefault: true,
+        path: /^\/mynetwork\/invitation-manager\/received/,
+        bulkActions: true,
+        selectors: {
+            ...CARD_FIELD_SELECTORS,
+            card: '.invitation-card, [data-test-invitation-card], .artdeco-entity-lockup',
+            list: '.invitation-manager-list, [data-test-invitation-manager-list]',
+            // Only the accept control itself: other primary buttons (Message, Follow) must never be clicked
+            actionButton: '[data-control-name="accept"], button[aria-label^="Accept"]'
+        }
+    },
+    sentInvitations: {
+        label: 'Sent invitations',
+        enabledByDefault: false,
+        path: /^\/mynetwork\/invitation-manager\/sent/,
+        bulkActions: false,
+        selectors: {
+            ...CARD_FIELD_SELECTORS,
+            card: '.invitation-card, [data-test-invitation-card], .artdeco-entity-lockup',
+            list: '.invitation-manager-list, [data-test-invitation-manager-list]',
+            actionButton: '[data-control-name="withdraw_single"], button[aria-label^="Withdraw"]'
+        }
+    },
+    peopleSearch: {
+        label: 'People search results',
+        enabledByDefault: false,
+        path: /^\/search\/results\/people/,
+        bulkActions: false,
+        selectors: {
+            ...CARD_FIELD_SELECTORS,
+            card: 'li.reusable-search__result-container, [data-chameleon-result-urn]',
+            list: '.reusable-search__entity-result-list',
+            actionButton: '.entity-result__actions button',
+            cardContent: '.entity-result__content, .entity-result__item',
+            profileImage: '.entity-result__image img, .presence-entity__image img',
+            // Only the on-screen copy: a selector list would match the title, screen reader text and all, first
+            name: '.entity-result__title-text a span[aria-hidden="true"]',
+            headline: '.entity-result__primary-subtitle',
+            location: '.entity-result__secondary-subtitle',
+            caption: '.entity-result__simple-insight-text, .entity-result__insights',
+            message: ''
+        }
+    },
+    myNetwork: {
+        label: 'People you may know',
+        enabledByDefault: false,
+        path: /^\/mynetwork\/(grow\/)?$/,
+        bulkActions: false,
+        selectors: {
+            ...CARD_FIELD_SELECTORS,
+            card: '.discover-entity-type-card, .discover-person-card',
+            list: '.discover-cohort-recommendations-module__list, .mn-cohort-view__list',
+            actionButton: 'button[aria-label^="Invite"], .discover-entity-type-card__bottom-container button',
+            cardContent: '.discover-entity-type-card__info-container, .discover-person-card__info',
+            profileImage: '.discover-entity-type-card__image-circle img, .discover-person-card__image img',
+            name: '.discover-person-card__name, .discover-entity-type-card__name',
+            headline: '.discover-person-card__occupation, .discover-entity-type-card__occupation',
+            caption: '.member-insights__reason, .discover-person-card__insight',
+            location: '',
+            message: ''
+        }
+    }
+};
+
+/**
+ * Get the name of the adapter for a URL path, or null when no adapter handles it
+ */
+function getPageAdapterName(pathname) {
+    return Object.keys(PAGE_ADAPTERS).find(name => PAGE_ADAPTERS[name].path.test(pathname)) || null;
+}
+
+/**
+ * Load which pages are switched on, falling back to each adapter's default
+ */
+async function loadEnabledPages() {
+    const { enabledPages } = await chrome.storage.sync.get('enabledPages');
+    return Object.fromEntries(Object.entries(PAGE_ADAPTERS).map(([name, adapter]) => [
+        name,
+        enabledPages && typeof enabledPages[name] === 'boolean' ? enabledPages[name] : adapter.enabledByDefault
+    ]));
+}
@@ -0,0 +1,192 @@
+// Scoring personas for LinkedIn Lead Scorer
+// Named sets of provider/model, rubric and thresholds, one of which is active at a time.
+// Loaded by the background service worker (importScripts), the content script and the popup
+
+const DEFAULT_PERSONA = {
+    id: 'default',
+    name: 'Default'
+};
+
+// Settings each persona keeps its own copy of. The default persona keeps them as the
+// top-level sync keys used before personas existed; the others in one `persona:<id>` item each
+const PERSONA_SETTING_KEYS = [
+    'modelProvider',
+    'modelSelection',
+    'apiKey',
+    'customBaseUrl',
+    'localFirst',
+    'scoringRubric',
+    'notifyThreshold',
+    'webhookThreshold',
+    'bulkAcceptThreshold',
+    'bulkIgnoreThreshold'
+];
+
+const PERSONA_PREFIX = 'persona:';
+
+// chrome.storage.local: a persona's API key when keys are encrypted (see key-storage.js).
+// Defined here so deleting a persona removes it wherever personas are managed
+const ENCRYPTED_API_KEY_PREFIX = 'encryptedApiKey:';
+const MAX_PERSONAS = 10;
+const MAX_PERSONA_NAME_LENGTH = 40;
+
+// Extra personas each card can be scored under, next to the active one
+const MAX_COMPARE_PERSONAS = 3;
+
+/**
+ * Load every persona as {id, name}, the default persona first
+ */
+async function loadPersonas() {
+    const { personaList } = await chrome.storage.sync.get('personaList');
+    return personaList && personaList.length > 0 ? personaList : [DEFAULT_PERSONA];
+}
+
+/**
+ * Load the active persona with its settings; falls back to the default persona if it was deleted
+ */
+async function loadActivePersona() {
+    const { activePersonaId } = await chrome.storage.sync.get('activePersonaId');
+    const personas = await loadPersonas();
+    return loadPersona(personas.find(item => item.id === activePersonaId) ? activePersonaId : personas[0].id);
+}
+
+/**
+ * Load one persona with its settings
+ */
+async function loadPersona(personaId) {
+    const personas = await loadPersonas();
+    const persona = personas.find(item => item.id === personaId);
+    if (!persona) {
+        throw new Error(`Unknown persona: ${personaId}`);
+    }
+
+    return {
+        id: persona.id,
+        name: persona.name,
+        // Badges only name the persona when there is more than one to tell apart
+        isOnlyPersona: personas.length === 1,
+        settings: await loadPersonaSettings(persona.id)
+    };
+}
+
+/**
+ * Load the persona-specific settings of one persona
+ */
+async function loadPersonaSettings(personaId) {
+    if (personaId === DEFAULT_PERSONA.id) {
+        return chrome.storage.sync.get(PERSONA_SETTING_KEYS);
+    }
+
+    const storageKey = PERSONA_PREFIX + personaId;
+    const stored = await chrome.storage.sync.get(storageKey);
+    return stored[storageKey] || {};
+}
+
+/**
+ * Save some persona-specific settings of one persona, keeping the rest
+ */
+async function savePersonaSettings(personaId, values) {
+    const unknown = Object.keys(values).filter(key => !PERSONA_SETTING_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Not a persona setting: ${unknown.join(', ')}`);
+    }
+
+    if (personaId === DEFAULT_PERSONA.id) {
+        await chrome.storage.sync.set(values);
+        return;
+    }
+
+    const storageKey = PERSONA_PREFIX + personaId;
+    const current = await loadPersonaSettings(personaId);
+    await chrome.storage.sync.set({ [storageKey]: { ...current, ...values } });
+}
+
+/**
+ * Save persona-specific settings of the active persona
+ */
+async function saveActivePersonaSettings(values) {
+    const persona = await loadActivePersona();
+    await savePersonaSettings(persona.id, values);
+}
+
+/**
+ * Create a persona as a copy of the active one, make it active and return its id
+ */
+async function createPersona(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed || trimmed.length > MAX_PERSONA_NAME_LENGTH) {
+        throw new Error(`Persona name must be 1-${MAX_PERSONA_NAME_LENGTH} characters`);
+    }
+
+    const personas = await loadPersonas();
+    if (personas.length >= MAX_PERSONAS) {
+        throw new Error(`At most ${MAX_PERSONAS} personas are supported`);
+    }
+    if (personas.some(persona => persona.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`A persona named "${trimmed}" already exists`);
+    }
+
+    const active = await loadActivePersona();
+    const id = `persona-${Date.now().toString(36)}`;
+
+    await chrome.storage.sync.set({
+        [PERSONA_PREFIX + id]: active.settings,
+        personaList: personas.concat({ id: id, name: trimmed }),
+        activePersonaId: id
+    });
+    return id;
+}
+
+/**
+ * Delete a persona along with its encrypted API key; the default persona cannot be deleted
+ */
+async function deletePersona(personaId) {
+    if (personaId === DEFAULT_PERSONA.id) {
+        throw new Error('The default persona cannot be deleted');
+    }
+
+    const personas = await loadPersonas();
+    const { activePersonaId } = await chrome.storage.sync.get('activePersonaId');
+
+    await chrome.storage.sync.remove(PERSONA_PREFIX + personaId);
+    await chrome.storage.local.remove(ENCRYPTED_API_KEY_PREFIX + personaId);
+    await chrome.storage.sync.set({
+        personaList: personas.filter(persona => persona.id !== personaId),
+        activePersonaId: activePersonaId === personaId ? DEFAULT_PERSONA.id : activePersonaId || DEFAULT_PERSONA.id
+    });
+}
+
+/**
+ * Switch the active persona
+ */
+async function setActivePersona(personaId) {
+    const personas = await loadPersonas();
+    if (!personas.some(persona => persona.id === personaId)) {
+        throw new Error(`Unknown persona: ${personaId}`);
+    }
+
+    await chrome.storage.sync.set({ activePersonaId: personaId });
+}
+
+/**
+ * Load the ids of the personas to compare against on each card, leaving out the active one
+ */
+async function loadComparePersonaIds() {
+    const { comparePersonaIds } = await chrome.storage.sync.get('comparePersonaIds');
+    const personas = await loadPersonas();
+    const active = await loadActivePersona();
+
+    return (comparePersonaIds || [])
+        .filter(id => id !== active.id && personas.some(persona => persona.id === id))
+        .slice(0, MAX_COMPARE_PERSONAS);
+}
+
+/**
+ * Check whether a storage change affects the active persona, its settings or the comparison personas
+ */
+function isPersonaChange(changes) {
+    return Object.keys(changes).some(key =>
+        key === 'activePersonaId' || key === 'personaList' || key === 'comparePersonaIds' ||
+        key.startsWith(PERSONA_PREFIX) || PERSONA_SETTING_KEYS.includes(key)
+    );
+}
@@ -0,0 +1,254 @@
+// Profile enrichment for LinkedIn Lead Scorer
+// Opt-in: fetches a card's full profile page (same origin, one at a time) to fill in what the card leaves out
+
+// Fields taken from the full profile, with the labels shown in badge reasoning
+const ENRICHMENT_FIELDS = {
+    location: 'Location',
+    currentPosition: 'Current position',
+    education: 'Education'
+};
+
+// One chrome.storage.local item per profile, so repeat visits within a week do not fetch again
+const ENRICHMENT_CACHE_PREFIX = 'profileEnrichment:';
+const ENRICHMENT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// When each stored profile was fetched ({profileKey: fetchedAt}), so stale and excess items
+// are removed on each write without a full scan
+const ENRICHMENT_INDEX_KEY = 'profileEnrichmentIndex';
+const MAX_ENRICHED_PROFILES = 500;
+
+// Leave a gap between fetches so browsing a long list does not hammer LinkedIn
+const ENRICHMENT_INTERVAL_MS = 3000;
+const ENRICHMENT_TIMEOUT_MS = 15000;
+
+// Tail of the fetch chain; each fetch starts after the previous one plus the interval
+let enrichmentQueue = Promise.resolve();
+
+// Fetches in progress by profile key, so a profile shown twice is fetched once
+const enrichmentsInFlight = new Map();
+
+/**
+ * Merge facts from the full profile into card data when enrichment is switched on.
+ * Never fails: on any error the card data is returned unchanged
+ */
+async function maybeEnrichProfileData(profileData) {
+    const { enrichProfiles } = await chrome.storage.sync.get('enrichProfiles');
+    const profileKey = getProfileKeyFromUrl(profileData.profileUrl);
+    if (!enrichProfiles || !profileKey) {
+        return profileData;
+    }
+
+    try {
+        const facts = await getEnrichmentFacts(profileKey, profileData.profileUrl);
+        return mergeEnrichmentFacts(profileData, facts);
+    } catch (error) {
+        console.warn('LinkedIn Lead Scorer: Profile enrichment failed:', error.message);
+        return profileData;
+    }
+}
+
+/**
+ * Get the enrichment facts for a profile from storage, or fetch them when missing or stale
+ */
+async function getEnrichmentFacts(profileKey, profileUrl) {
+    const storageKey = ENRICHMENT_CACHE_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(storageKey);
+    const cached = stored[storageKey];
+    if (cached && Date.now() - cached.fetchedAt < ENRICHMENT_MAX_AGE_MS) {
+        return cached.facts;
+    }
+
+    if (!enrichmentsInFlight.has(profileKey)) {
+        const pending = enqueueEnrichmentFetch(() => fetchProfileFacts(profileUrl))
+            .then(async facts => {
+                await saveEnrichmentFacts(profileKey, facts);
+                return facts;
+            })
+            .finally(() => enrichmentsInFlight.delete(profileKey));
+        enrichmentsInFlight.set(profileKey, pending);
+    }
+
+    return enrichmentsInFlight.get(profileKey);
+}
+
+/**
+ * Store a profile's facts, removing entries older than ENRICHMENT_MAX_AGE_MS and the oldest beyond MAX_ENRICHED_PROFILES
+ */
+async function saveEnrichmentFacts(profileKey, facts) {
+    const now = Date.now();
+    const index = await loadEnrichmentIndex();
+
+    const others = Object.keys(index).filter(key => key !== profileKey).sort((a, b) => index[b] - index[a]);
+    const expired = others.filter((key, position) =>
+        position >= MAX_ENRICHED_PROFILES - 1 || now - index[key] >= ENRICHMENT_MAX_AGE_MS);
+    expired.forEach(key => {
+        delete index[key];
+    });
+    index[profileKey] = now;
+
+    if (expired.length > 0) {
+        await chrome.storage.local.remove(expired.map(key => ENRICHMENT_CACHE_PREFIX + key));
+    }
+    await chrome.storage.local.set({
+        [ENRICHMENT_CACHE_PREFIX + profileKey]: { facts: facts, fetchedAt: now },
+        [ENRICHMENT_INDEX_KEY]: index
+    });
+}
+
+/**
+ * Load when each stored profile was fetched. Builds the index from a full scan once when it is
+ * missing, for profiles fetched before it existed
+ */
+async function loadEnrichmentIndex() {
+    const { [ENRICHMENT_INDEX_KEY]: index } = await chrome.storage.local.get(ENRICHMENT_INDEX_KEY);
+    if (index) {
+        return index;
+    }
+
+    const everything = await chrome.storage.local.get(null);
+    const rebuilt = {};
+    Object.keys(everything)
+        .filter(key => key.startsWith(ENRICHMENT_CACHE_PREFIX))
+        .forEach(key => {
+            rebuilt[key.slice(ENRICHMENT_CACHE_PREFIX.length)] = everything[key].fetchedAt;
+        });
+    await chrome.storage.local.set({ [ENRICHMENT_INDEX_KEY]: rebuilt });
+    return rebuilt;
+}
+
+/**
+ * Run a fetch after the ones already waiting, spaced by the enrichment interval
+ */
+function enqueueEnrichmentFetch(task) {
+    const result = enrichmentQueue.then(task);
+    enrichmentQueue = result
+        .catch(() => {})
+        .then(() => new Promise(resolve => setTimeout(resolve, ENRICHMENT_INTERVAL_MS)));
+    return result;
+}
+
+/**
+ * Fetch a profile page with the user's session and read the enrichment fields from it
+ */
+async function fetchProfileFacts(profileUrl) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), ENRICHMENT_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(profileUrl, {
+            credentials: 'include',
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const profile = extractProfilePageData(profileUrl, doc);
+        const embedded = extractEmbeddedProfileFacts(profileUrl, doc);
+
+        return Object.fromEntries(Object.keys(ENRICHMENT_FIELDS)
+            .map(field => [field, profile[field] || embedded[field]])
+            .filter(([, value]) => value));
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Read the enrichment fields from the page data LinkedIn embeds as JSON in <code> elements.
+ * Fetched HTML has no rendered sections, since LinkedIn builds them in the browser from this data
+ */
+function extractEmbeddedProfileFacts(profileUrl, doc) {
+    const entities = getEmbeddedEntities(doc);
+    const profileKey = getProfileKeyFromUrl(profileUrl);
+    const profile = entities.find(entity => isEntityType(entity, 'Profile') &&
+        entity.publicIdentifier && `in:${entity.publicIdentifier.toLowerCase()}` === profileKey);
+    if (!profile || !profile.entityUrn) {
+        return {};
+    }
+
+    // Positions and schools carry the profile id in their own URNs, e.g. urn:li:fsd_profilePosition:(ACoAA…,123)
+    const profileId = profile.entityUrn.split(':').pop();
+    const belongsToProfile = (entity) => (entity.entityUrn || '').includes(`(${profileId},`);
+    const positions = entities.filter(entity => isEntityType(entity, 'Position') && belongsToProfile(entity));
+    const schools = entities.filter(entity => isEntityType(entity, 'Education') && belongsToProfile(entity));
+    const current = positions.find(position => !position.dateRange || !position.dateRange.end) || positions[0];
+
+    return {
+        location: getEmbeddedLocation(profile, entities),
+        currentPosition: current ? joinFacts([current.title, current.companyName]) : '',
+        education: schools
+            .slice(0, MAX_SECTION_ITEMS)
+            .map(school => joinFacts([school.schoolName, joinFacts([school.degreeName, school.fieldOfStudy], ', ')]))
+            .filter(Boolean)
+            .join('\n')
+    };
+}
+
+/**
+ * Collect the entities from every embedded JSON response on the page; unparsable blocks are skipped
+ */
+function getEmbeddedEntities(doc) {
+    return Array.from(doc.querySelectorAll('code')).flatMap(code => {
+        try {
+            const data = JSON.parse(code.textContent);
+            return data && Array.isArray(data.included) ? data.included : [];
+        } catch (error) {
+            return [];
+        }
+    });
+}
+
+/**
+ * Check an entity's type by the last part of its $type, e.g. "Profile"
+ */
+function isEntityType(entity, type) {
+    return typeof entity.$type === 'string' && entity.$type.split('.').pop() === type;
+}
+
+/**
+ * Get a profile's location from its linked geo entity, or the plain location name older pages carry
+ */
+function getEmbeddedLocation(profile, entities) {
+    const geoLocation = profile.geoLocation || {};
+    const geoUrn = geoLocation['*geo'] || geoLocation.geoUrn;
+    const geo = geoUrn ? entities.find(entity => entity.entityUrn === geoUrn) : null;
+    return cleanText((geo && geo.defaultLocalizedName) || profile.locationName || '');
+}
+
+/**
+ * Join the present parts of a fact, e.g. a title and company
+ */
+function joinFacts(parts, separator = ' · ') {
+    return parts.map(part => cleanText(part || '')).filter(Boolean).join(separator);
+}
+
+/**
+ * Add enrichment facts to card data without overwriting what the card already shows.
+ * `enrichedFields` lists what was added, and `source` keeps enriched scores cached apart
+ */
+function mergeEnrichmentFacts(profileData, facts) {
+    const enrichedFields = Object.keys(facts).filter(field => !profileData[field]);
+    if (enrichedFields.length === 0) {
+        return profileData;
+    }
+
+    const enriched = { ...profileData, source: 'enriched', enrichedFields: enrichedFields };
+    enrichedFields.forEach(field => {
+        enriched[field] = facts[field];
+    });
+    return enriched;
+}
+
+/**
+ * Describe the enriched facts for the badge tooltip
+ */
+function describeEnrichedFields(profileData) {
+    if (!profileData.enrichedFields || profileData.enrichedFields.length === 0) {
+        return '';
+    }
+
+    const facts = profileData.enrichedFields.map(field => `${ENRICHMENT_FIELDS[field]}: ${profileData[field]}`);
+    return `From full profile:\n${facts.join('\n')}`;
+}
@@ -0,0 +1,322 @@
+// Profile page scoring for LinkedIn Lead Scorer
+// Scores the profile open at /in/<slug>/ from its About, experience and education sections
+
+const PROFILE_SELECTORS = {
+    main: 'main',
+    name: 'main h1',
+    headline: 'main .text-body-medium.break-words',
+    location: 'main .text-body-small.inline.t-black--light.break-words, .pv-text-details__left-panel .text-body-small.inline',
+    profileImage: '.pv-top-card-profile-picture__image, .pv-top-card__photo img, main img.profile-photo-edit__preview',
+    sectionItem: 'li.artdeco-list__item, li.pvs-list__paged-list-item',
+    // LinkedIn renders each visible string twice; the aria-hidden copy is the one on screen
+    visibleText: 'span[aria-hidden="true"]'
+};
+
+// Keep long sections from dominating the prompt
+const MAX_SECTION_LENGTH = 1000;
+const MAX_SECTION_ITEMS = 5;
+
+// Wait for LinkedIn to finish rendering before reading the page
+const PROFILE_SETTLE_DELAY_MS = 1000;
+
+// Profile currently shown in the panel; changes as LinkedIn navigates between profiles
+let scoredProfileUrl = null;
+let profilePageTimer = null;
+
+// Watches the profile's main section until its top card renders, then stops
+let profileObserver = null;
+let observedProfileMain = null;
+
+// LinkedIn navigates between pages without reloading; content.js calls this again on each page change
+updateProfilePage();
+
+/**
+ * Check if current page is a member profile
+ */
+function isProfilePage() {
+    return /^\/in\/[^/]+/.test(window.location.pathname);
+}
+
+/**
+ * Start watching a profile that has not been scored yet, or clear the panel after leaving profiles
+ */
+function updateProfilePage() {
+    if (!isProfilePage()) {
+        if (profileObserver || scoredProfileUrl) {
+            stopWatchingProfilePage();
+            removeProfilePanel();
+            scoredProfileUrl = null;
+        }
+        return;
+    }
+
+    const profileUrl = normalizeProfileUrl(window.location.href);
+    const main = document.querySelector(PROFILE_SELECTORS.main);
+    if (!profileUrl || profileUrl === scoredProfileUrl || !main || main === observedProfileMain) {
+        return;
+    }
+
+    // A different profile: the panel still shows the previous one
+    if (scoredProfileUrl) {
+        removeProfilePanel();
+        scoredProfileUrl = null;
+    }
+
+    stopWatchingProfilePage();
+    observedProfileMain = main;
+    profileObserver = new MutationObserver(scheduleProfileCheck);
+    profileObserver.observe(main, {
+        childList: true,
+        subtree: true
+    });
+    scheduleProfileCheck();
+}
+
+/**
+ * Check the profile once LinkedIn has stopped rendering for a moment
+ */
+function scheduleProfileCheck() {
+    clearTimeout(profilePageTimer);
+    profilePageTimer = setTimeout(checkProfilePage, PROFILE_SETTLE_DELAY_MS);
+}
+
+/**
+ * Stop watching the profile's main section
+ */
+function stopWatchingProfilePage() {
+    clearTimeout(profilePageTimer);
+    if (profileObserver) {
+        profileObserver.disconnect();
+    }
+    profileObserver = null;
+    observedProfileMain = null;
+}
+
+/**
+ * Score the current profile if it is new and its top card has rendered
+ */
+function checkProfilePage() {
+    if (!isProfilePage()) {
+        return;
+    }
+
+    const profileUrl = normalizeProfileUrl(window.location.href);
+    if (!profileUrl || profileUrl === scoredProfileUrl || !document.querySelector(PROFILE_SELECTORS.name)) {
+        return;
+    }
+
+    stopWatchingProfilePage();
+    scoredProfileUrl = profileUrl;
+    scoreProfilePage(profileUrl);
+}
+
+/**
+ * Score the open profile again, e.g. for a newly active persona
+ */
+function rescoreProfilePage() {
+    scoredProfileUrl = null;
+    checkProfilePage();
+}
+
+/**
+ * Send the profile to the background for scoring and show the result in the panel
+ */
+async function scoreProfilePage(profileUrl) {
+    const profileData = extractProfilePageData(profileUrl);
+    const panel = createProfilePanel();
+    const loadingBadge = createLoadingBadge();
+    panel.querySelector('.lead-scorer-panel-body').appendChild(loadingBadge);
+    pendingBadges.set(profileUrl, loadingBadge);
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'scoreProfile',
+            requestId: profileUrl,
+            profileData: profileData
+        });
+
+        // LinkedIn may have moved on to another profile while this one was scored
+        if (scoredProfileUrl !== profileUrl) {
+            return;
+        }
+
+        if (response.success) {
+            renderProfileScore(panel, response);
+            console.log(`LinkedIn Lead Scorer: Scored profile page - Score: ${response.score}`);
+        } else {
+            renderProfileError(panel, response.error);
+            console.error('LinkedIn Lead Scorer: Scoring failed:', response.error);
+        }
+    } catch (error) {
+        console.error('LinkedIn Lead Scorer: Error scoring profile page:', error);
+        if (scoredProfileUrl === profileUrl) {
+            renderProfileError(panel, 'Processing failed');
+        }
+    } finally {
+        pendingBadges.delete(profileUrl);
+    }
+}
+
+/**
+ * Extract structured profile fields from a profile page; `doc` may be a fetched copy of one
+ */
+function extractProfilePageData(profileUrl, doc = document) {
+    const profileImg = doc.querySelector(PROFILE_SELECTORS.profileImage);
+    const hasProfilePic = Boolean(profileImg) &&
+                         !profileImg.src.includes('ghost-person') &&
+                         !profileImg.src.includes('default-avatar');
+
+    const experience = getSectionItems(doc, 'experience');
+    const education = getSectionItems(doc, 'education');
+    const headline = getElementText(doc, PROFILE_SELECTORS.headline);
+    const about = truncateText(getSectionText(doc, 'about'));
+
+    return {
+        source: 'profilePage',
+        page: 'profilePage',
+        name: getElementText(doc, PROFILE_SELECTORS.name),
+        headline: headline,
+        location: getElementText(doc, PROFILE_SELECTORS.location),
+        currentPosition: experience[0] || '',
+        about: about,
+        experience: truncateText(experience.join('\n')),
+        education: truncateText(education.join('\n')),
+        profileUrl: profileUrl,
+        hasProfilePic: hasProfilePic,
+        text: [headline, about].filter(Boolean).join(' ')
+    };
+}
+
+/**
+ * Find a profile section by the id of its anchor (e.g. "experience")
+ */
+function getProfileSection(doc, id) {
+    const anchor = doc.getElementById(id);
+    return anchor ? anchor.closest('section') : null;
+}
+
+/**
+ * Get the visible text of a section without its heading
+ */
+function getSectionText(doc, id) {
+    const section = getProfileSection(doc, id);
+    if (!section) {
+        return '';
+    }
+
+    const heading = getElementText(section, 'h2');
+    return getVisibleStrings(section).filter(text => text !== heading).join(' ');
+}
+
+/**
+ * Get one line per entry of a list section, such as each position or school
+ */
+function getSectionItems(doc, id) {
+    const section = getProfileSection(doc, id);
+    if (!section) {
+        return [];
+    }
+
+    return Array.from(section.querySelectorAll(PROFILE_SELECTORS.sectionItem))
+        // Nested lists (e.g. several roles at one company) are covered by their parent item
+        .filter(item => !item.parentElement.closest(PROFILE_SELECTORS.sectionItem))
+        .slice(0, MAX_SECTION_ITEMS)
+        .map(item => getVisibleStrings(item).join(' · '))
+        .filter(Boolean);
+}
+
+/**
+ * Collect the distinct on-screen strings inside an element
+ */
+function getVisibleStrings(root) {
+    const strings = Array.from(root.querySelectorAll(PROFILE_SELECTORS.visibleText))
+        .map(span => cleanText(span.textContent))
+        .filter(Boolean);
+    return Array.from(new Set(strings));
+}
+
+/**
+ * Shorten text to the section length limit
+ */
+function truncateText(text) {
+    return text.length > MAX_SECTION_LENGTH ? `${text.substring(0, MAX_SECTION_LENGTH)}…` : text;
+}
+
+/**
+ * Create (or reset) the floating score panel
+ */
+function createProfilePanel() {
+    removeProfilePanel();
+
+    const panel = document.createElement('div');
+    panel.id = 'lead-scorer-profile-panel';
+    panel.className = 'lead-scorer-panel';
+    panel.innerHTML = `
+        <div class="lead-scorer-panel-header">
+            <span class="lead-scorer-panel-title">Lead Score</span>
+            <button type="button" class="lead-scorer-panel-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="lead-scorer-panel-body"></div>
+    `;
+    panel.querySelector('.lead-scorer-panel-close').addEventListener('click', removeProfilePanel);
+
+    document.body.appendChild(panel);
+    return panel;
+}
+
+/**
+ * Show the score, per-rule breakdown and reasoning in the panel
+ */
+function renderProfileScore(panel, response) {
+    const body = panel.querySelector('.lead-scorer-panel-body');
+    body.innerHTML = '';
+    body.appendChild(createScoreBadge(response.score, response.reasoning, response.persona));
+
+    if (response.breakdown && response.breakdown.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'lead-scorer-panel-breakdown';
+        response.breakdown.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = formatBreakdownEntry(entry);
+            item.className = entry.points > 0 ? 'lead-scorer-points-positive' : 'lead-scorer-points-negative';
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+    }
+
+    const reasoning = document.createElement('p');
+    reasoning.className = 'lead-scorer-panel-reasoning';
+    reasoning.textContent = response.reasoning;
+    body.appendChild(reasoning);
+
+    if (response.cached) {
+        const note = document.createElement('p');
+        note.className = 'lead-scorer-panel-note';
+        note.textContent = 'Cached score';
+        body.appendChild(note);
+    }
+}
+
+/**
+ * Show a scoring error in the panel
+ */
+function renderProfileError(panel, error) {
+    const body = panel.querySelector('.lead-scorer-panel-body');
+    body.innerHTML = '';
+    body.appendChild(createErrorBadge(error));
+
+    const message = document.createElement('p');
+    message.className = 'lead-scorer-panel-reasoning';
+    message.textContent = error;
+    body.appendChild(message);
+}
+
+/**
+ * Remove the score panel from the page
+ */
+function removeProfilePanel() {
+    const panel = document.getElementById('lead-scorer-profile-panel');
+    if (panel) {
+        panel.remove();
+    }
+}
@@ -0,0 +1,170 @@
+// Redaction for LinkedIn Lead Scorer
+// Masks personal data in profiles before they are sent to an LLM provider, and keeps an audit log
+// of what each request transmitted. Local scoring, the score cache and the lead history keep the originals.
+// Loaded by the background service worker (importScripts) and the popup; needs scoring.js
+
+const REDACTION_DEFAULTS = {
+    emails: true,
+    phones: true,
+    urls: true,
+    names: false,
+    // Send only the fields rubric rules look at, never the raw card text
+    minimize: false
+};
+
+// Masks for each kind of redaction, applied in this order so an email is not mistaken for a URL
+const REDACTION_MASKS = {
+    emails: '[email]',
+    phones: '[phone]',
+    urls: '[url]',
+    names: '[name]'
+};
+
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+
+// Runs of digits and separators; only those with enough digits count as phone numbers, so
+// years ("2015 - 2020") and counts survive
+const PHONE_CANDIDATE_PATTERN = /\+?\(?\d[\d\s().-]{6,}\d/g;
+const MIN_PHONE_DIGITS = 9;
+const MAX_PHONE_DIGITS = 15;
+
+// Fields sent in data-minimization mode: what rubric rules are matched against
+const MINIMIZED_PROFILE_FIELDS = ['headline', 'location', 'currentPosition', 'education', 'hasProfilePic'];
+
+// Name parts shorter than this are too likely to be ordinary words
+const MIN_NAME_PART_LENGTH = 3;
+
+const TRANSMISSION_LOG_KEY = 'transmissionLog';
+const MAX_TRANSMISSION_LOG_ENTRIES = 100;
+
+/**
+ * Load redaction settings, filling in defaults
+ */
+async function loadRedactionSettings() {
+    const { redaction } = await chrome.storage.sync.get('redaction');
+    return { ...REDACTION_DEFAULTS, ...redaction };
+}
+
+/**
+ * Return a redacted copy of the profile fields formatProfileData sends, and how many of each kind of item were masked
+ */
+function redactProfileData(profileData, settings) {
+    const counts = { emails: 0, phones: 0, urls: 0, names: 0 };
+    const keep = settings.minimize ? MINIMIZED_PROFILE_FIELDS : getSentProfileFields(profileData);
+    const nameParts = settings.names ? getNameParts(profileData.name) : [];
+    const profile = {};
+
+    keep.filter(key => profileData[key] !== undefined).forEach(key => {
+        const value = profileData[key];
+        if (key === 'name' && settings.names && value) {
+            profile.name = REDACTION_MASKS.names;
+            counts.names++;
+        } else {
+            profile[key] = typeof value === 'string' ? redactText(value, settings, nameParts, counts) : value;
+        }
+    });
+
+    return { profile: profile, counts: counts };
+}
+
+/**
+ * List the fields formatProfileData puts in the prompt; the raw card text only goes without a headline
+ */
+function getSentProfileFields(profileData) {
+    const fields = PROFILE_PROMPT_FIELDS.map(([key]) => key).concat('hasProfilePic');
+    return profileData.headline ? fields : fields.concat('text');
+}
+
+/**
+ * Mask emails, phone numbers, URLs and name parts in a piece of text, counting each
+ */
+function redactText(text, settings, nameParts, counts) {
+    let result = text;
+
+    if (settings.emails) {
+        result = result.replace(EMAIL_PATTERN, () => {
+            counts.emails++;
+            return REDACTION_MASKS.emails;
+        });
+    }
+    if (settings.phones) {
+        result = result.replace(PHONE_CANDIDATE_PATTERN, (match) => {
+            const digits = match.replace(/\D/g, '').length;
+            if (digits < MIN_PHONE_DIGITS || digits > MAX_PHONE_DIGITS) {
+                return match;
+            }
+            counts.phones++;
+            return REDACTION_MASKS.phones;
+        });
+    }
+    if (settings.urls) {
+        result = result.replace(URL_PATTERN, () => {
+            counts.urls++;
+            return REDACTION_MASKS.urls;
+        });
+    }
+    nameParts.forEach(part => {
+        const escaped = part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        result = result.replace(new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'giu'), (match, before) => {
+            counts.names++;
+            return before + REDACTION_MASKS.names;
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Split a name into the parts to mask, longest first so "Anna" does not break up "Annabel"
+ */
+function getNameParts(name) {
+    return (name || '')
+        .split(/\s+/)
+        .map(part => part.replace(/[^\p{L}\p{N}'-]/gu, ''))
+        .filter(part => part.length >= MIN_NAME_PART_LENGTH)
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Add up redaction counts from several profiles
+ */
+function sumRedactionCounts(countsList) {
+    return countsList.reduce((total, counts) => {
+        Object.keys(total).forEach(kind => {
+            total[kind] += counts[kind];
+        });
+        return total;
+    }, { emails: 0, phones: 0, urls: 0, names: 0 });
+}
+
+/**
+ * Describe redaction counts, e.g. "2 emails, 1 phone"
+ */
+function describeRedactionCounts(counts) {
+    const labels = { emails: ['email', 'emails'], phones: ['phone', 'phones'], urls: ['URL', 'URLs'], names: ['name', 'names'] };
+    const parts = Object.keys(labels)
+        .filter(kind => counts[kind] > 0)
+        .map(kind => `${counts[kind]} ${labels[kind][counts[kind] === 1 ? 0 : 1]}`);
+    return parts.length > 0 ? parts.join(', ') : 'nothing';
+}
+
+/**
+ * Append a request's transmitted (redacted) profile data to the audit log in chrome.storage.local
+ */
+async function logTransmission(connection, profileKeys, counts, content, examples) {
+    const entry = {
+        at: Date.now(),
+        provider: connection.provider,
+        model: connection.model,
+        profileKeys: profileKeys.filter(Boolean),
+        redacted: counts,
+        content: content,
+        examples: examples
+    };
+
+    const { [TRANSMISSION_LOG_KEY]: log = [] } = await chrome.storage.local.get(TRANSMISSION_LOG_KEY);
+    await chrome.storage.local.set({
+        [TRANSMISSION_LOG_KEY]: log.concat(entry).slice(-MAX_TRANSMISSION_LOG_ENTRIES)
+    });
+}
@@ -0,0 +1,160 @@
+// Request queue for LinkedIn Lead Scorer
+// Limits concurrent and per-minute provider calls and retries transient failures
+
+const QUEUE_DEFAULTS = {
+    concurrency: 2,
+    requestsPerMinute: 20
+};
+
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const RATE_WINDOW_MS = 60000;
+
+const requestQueue = {
+    pending: [],
+    active: 0,
+    startTimes: [],
+    pausedUntil: 0,
+    timer: null,
+    limits: { ...QUEUE_DEFAULTS }
+};
+
+/**
+ * Update the queue limits from saved settings
+ */
+function setQueueLimits(concurrency, requestsPerMinute) {
+    requestQueue.limits = {
+        concurrency: concurrency > 0 ? concurrency : QUEUE_DEFAULTS.concurrency,
+        requestsPerMinute: requestsPerMinute > 0 ? requestsPerMinute : QUEUE_DEFAULTS.requestsPerMinute
+    };
+    processQueue();
+}
+
+/**
+ * Add a task to the queue; onStateChange receives 'queued' or 'scoring'
+ */
+function enqueueRequest(task, onStateChange) {
+    return new Promise((resolve, reject) => {
+        const job = {
+            task: task,
+            onStateChange: onStateChange || (() => {}),
+            resolve: resolve,
+            reject: reject,
+            attempts: 0,
+            notBefore: 0
+        };
+
+        requestQueue.pending.push(job);
+        job.onStateChange('queued');
+        processQueue();
+    });
+}
+
+/**
+ * Start as many ready jobs as the concurrency and rate limits allow
+ */
+function processQueue() {
+    while (requestQueue.pending.length > 0 && requestQueue.active < requestQueue.limits.concurrency) {
+        const now = Date.now();
+
+        // Wait out a provider rate limit before sending anything else
+        if (requestQueue.pausedUntil > now) {
+            scheduleQueue(requestQueue.pausedUntil - now);
+            return;
+        }
+
+        requestQueue.startTimes = requestQueue.startTimes.filter(time => now - time < RATE_WINDOW_MS);
+        if (requestQueue.startTimes.length >= requestQueue.limits.requestsPerMinute) {
+            scheduleQueue(RATE_WINDOW_MS - (now - requestQueue.startTimes[0]));
+            return;
+        }
+
+        const index = requestQueue.pending.findIndex(job => job.notBefore <= now);
+        if (index === -1) {
+            const nextReady = Math.min(...requestQueue.pending.map(job => job.notBefore));
+            scheduleQueue(nextReady - now);
+            return;
+        }
+
+        const [job] = requestQueue.pending.splice(index, 1);
+        requestQueue.active++;
+        requestQueue.startTimes.push(now);
+        runJob(job);
+    }
+}
+
+/**
+ * Re-run the queue after a delay, unless a run is already scheduled
+ */
+function scheduleQueue(delay) {
+    if (requestQueue.timer) {
+        return;
+    }
+
+    requestQueue.timer = setTimeout(() => {
+        requestQueue.timer = null;
+        processQueue();
+    }, Math.max(delay, 0));
+}
+
+/**
+ * Run a single job, re-queueing it with backoff on transient failures
+ */
+async function runJob(job) {
+    job.onStateChange('scoring');
+
+    try {
+        job.resolve(await job.task());
+    } catch (error) {
+        if (error.retryable && job.attempts < MAX_RETRIES) {
+            job.attempts++;
+            const delay = getRetryDelay(error, job.attempts);
+            job.notBefore = Date.now() + delay;
+
+            // A 429 applies to the whole account, so hold every request back
+            if (error.status === 429) {
+                requestQueue.pausedUntil = Math.max(requestQueue.pausedUntil, job.notBefore);
+            }
+
+            console.warn(`LinkedIn Lead Scorer: Retrying request in ${delay}ms (attempt ${job.attempts} of ${MAX_RETRIES}):`, error.message);
+            requestQueue.pending.unshift(job);
+            job.onStateChange('queued');
+        } else {
+            job.reject(error);
+        }
+    } finally {
+        requestQueue.active--;
+        processQueue();
+    }
+}
+
+/**
+ * Get the delay before a retry, honoring Retry-After when the provider sends it
+ */
+function getRetryDelay(error, attempt) {
+    if (error.retryAfterMs) {
+        return Math.min(error.retryAfterMs, MAX_RETRY_DELAY_MS);
+    }
+
+    const backoff = BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+    const jitter = Math.floor(Math.random() * 250);
+    return Math.min(backoff + jitter, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return 0;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
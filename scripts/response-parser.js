@@ -0,0 +1,215 @@
+// Response parsing for LinkedIn Lead Scorer
+// Extracts JSON from model replies and validates it against the score schema
+
+// JSON schema for a single score; also sent to providers with native structured output
+const SCORE_RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        totalScore: { type: 'integer' },
+        reasoning: { type: 'string' },
+        breakdown: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    rule: { type: 'string' },
+                    points: { type: 'integer' }
+                },
+                required: ['rule', 'points']
+            }
+        }
+    },
+    required: ['totalScore', 'reasoning']
+};
+
+// JSON schema for a batch of scores, one per profile id
+const BATCH_RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        results: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    ...SCORE_RESULT_SCHEMA.properties
+                },
+                required: ['id', ...SCORE_RESULT_SCHEMA.required]
+            }
+        }
+    },
+    required: ['results']
+};
+
+/**
+ * Create an error for a reply that could not be parsed or failed validation
+ */
+function createMalformedError(message) {
+    const error = new Error(message);
+    error.malformed = true;
+    return error;
+}
+
+/**
+ * Turn a provider reply (text, or an object from tool use) into a parsed JSON value
+ */
+function parseModelOutput(output) {
+    if (output && typeof output === 'object') {
+        return output;
+    }
+
+    const json = extractJsonObject(String(output || ''));
+    if (!json) {
+        throw createMalformedError('LLM returned invalid JSON response');
+    }
+
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        throw createMalformedError('LLM returned invalid JSON response');
+    }
+}
+
+/**
+ * Find the first balanced JSON object in text, ignoring code fences and surrounding prose
+ */
+function extractJsonObject(text) {
+    const unfenced = text.replace(/```(?:json)?/gi, '');
+    const start = unfenced.indexOf('{');
+    if (start === -1) {
+        return null;
+    }
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < unfenced.length; i++) {
+        const char = unfenced[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) {
+                return unfenced.substring(start, i + 1);
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a single score result and return it normalized; throws a malformed error otherwise
+ */
+function validateScoreResult(result, range) {
+    const problems = getScoreResultProblems(result, range);
+    if (problems.length > 0) {
+        throw createMalformedError(`Invalid response format from LLM: ${problems.join('; ')}`);
+    }
+
+    return normalizeScoreResult(result);
+}
+
+/**
+ * Validate a batch result and return its entries; individual entries are checked by the caller
+ */
+function validateBatchResult(result) {
+    if (!result || !Array.isArray(result.results)) {
+        throw createMalformedError('Invalid batch response format from LLM: "results" must be an array');
+    }
+
+    return result.results;
+}
+
+/**
+ * List the ways a score result deviates from the schema and the rubric's score range
+ */
+function getScoreResultProblems(result, range) {
+    if (!result || typeof result !== 'object') {
+        return ['reply is not a JSON object'];
+    }
+
+    const problems = [];
+
+    if (typeof result.totalScore !== 'number' || !Number.isFinite(result.totalScore)) {
+        problems.push('"totalScore" must be a number');
+    } else if (range && (result.totalScore < range.min || result.totalScore > range.max)) {
+        problems.push(`"totalScore" must be between ${range.min} and ${range.max}`);
+    }
+
+    if (typeof result.reasoning !== 'string' || !result.reasoning.trim()) {
+        problems.push('"reasoning" must be a non-empty string');
+    }
+
+    if (result.breakdown !== undefined) {
+        const validBreakdown = Array.isArray(result.breakdown) && result.breakdown.every(entry =>
+            entry && typeof entry.rule === 'string' && typeof entry.points === 'number'
+        );
+        if (!validBreakdown) {
+            problems.push('"breakdown" must be an array of {rule, points} objects');
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Normalize a validated result to the shape used by the local rule engine
+ */
+function normalizeScoreResult(result) {
+    return {
+        totalScore: Math.round(result.totalScore),
+        reasoning: result.reasoning.trim(),
+        breakdown: (result.breakdown || []).map(entry => ({
+            label: entry.rule,
+            points: entry.points,
+            matched: []
+        }))
+    };
+}
+
+/**
+ * Build the follow-up instruction sent when a reply could not be used
+ */
+function buildRepairPrompt(output, error) {
+    const previous = typeof output === 'string' ? output : JSON.stringify(output);
+    return `Your previous reply could not be used (${error.message}).
+
+Previous reply:
+${previous}
+
+Return ONLY the corrected JSON, with no code fences or other text.`;
+}
+
+/**
+ * Convert a JSON schema to the upper-case type names Gemini's responseSchema expects
+ */
+function toGeminiSchema(schema) {
+    const converted = { ...schema, type: schema.type.toUpperCase() };
+
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    if (schema.items) {
+        converted.items = toGeminiSchema(schema.items);
+    }
+
+    return converted;
+}
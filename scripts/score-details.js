@@ -0,0 +1,256 @@
+// Score details for LinkedIn Lead Scorer
+// Clicking a card's score badge opens an inline panel with the rule breakdown, the model's
+// reasoning and the fields that were scored, with controls to rescore or override the score
+// and to pin the profile as a few-shot example
+
+/**
+ * Make a score badge open the details panel for its card
+ */
+function attachScoreDetails(badge, card, profileData, response) {
+    badge.classList.add('lead-scorer-clickable');
+    badge.setAttribute('role', 'button');
+    badge.tabIndex = 0;
+
+    const open = (event) => {
+        // Badges sit inside LinkedIn's card links
+        event.preventDefault();
+        event.stopPropagation();
+        toggleScoreDetails(card, profileData, response);
+    };
+
+    badge.addEventListener('click', open);
+    badge.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            open(event);
+        }
+    });
+}
+
+/**
+ * Open the details panel below a card, or close it when already open
+ */
+function toggleScoreDetails(card, profileData, response) {
+    const existing = findScoreDetails(card);
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const panel = createScoreDetailsPanel(card, profileData, response);
+    const item = card.closest('li');
+    if (item && item !== card) {
+        item.appendChild(panel);
+    } else {
+        card.after(panel);
+    }
+}
+
+/**
+ * Find the open details panel of a card
+ */
+function findScoreDetails(card) {
+    return document.querySelector(`[data-lead-scorer-details="${CSS.escape(card.dataset.leadScorerCard)}"]`);
+}
+
+/**
+ * Build the details panel for a scored card
+ */
+function createScoreDetailsPanel(card, profileData, response) {
+    const panel = document.createElement('div');
+    panel.className = 'lead-scorer-details';
+    panel.dataset.leadScorerDetails = card.dataset.leadScorerCard;
+    panel.innerHTML = `
+        <div class="lead-scorer-panel-header">
+            <span class="lead-scorer-panel-title"></span>
+            <button type="button" class="lead-scorer-panel-close" aria-label="Close">&times;</button>
+        </div>
+        <div class="lead-scorer-panel-body">
+            <ul class="lead-scorer-panel-breakdown"></ul>
+            <p class="lead-scorer-panel-reasoning"></p>
+            <dl class="lead-scorer-details-fields"></dl>
+            <div class="lead-scorer-details-actions">
+                <label>Override <input type="number" step="1" class="lead-scorer-override-input"></label>
+                <button type="button" class="lead-scorer-toolbar-btn" data-details-action="override">Save</button>
+                <button type="button" class="lead-scorer-toolbar-btn" data-details-action="clear">Clear override</button>
+                <button type="button" class="lead-scorer-toolbar-btn" data-details-action="rescore">Rescore</button>
+            </div>
+            <div class="lead-scorer-details-actions">
+                <label>Example score <input type="number" step="1" class="lead-scorer-example-input"></label>
+                <button type="button" class="lead-scorer-toolbar-btn" data-details-action="pin">Pin as example</button>
+                <button type="button" class="lead-scorer-toolbar-btn" data-details-action="unpin" hidden>Unpin</button>
+            </div>
+            <p class="lead-scorer-panel-note"></p>
+        </div>
+    `;
+
+    panel.querySelector('.lead-scorer-panel-title').textContent = describeScoreResponse(response);
+    renderBreakdownList(panel.querySelector('.lead-scorer-panel-breakdown'), response.breakdown);
+    panel.querySelector('.lead-scorer-panel-reasoning').textContent = response.reasoning;
+    renderScoredFields(panel.querySelector('.lead-scorer-details-fields'), profileData);
+
+    const overrideInput = panel.querySelector('.lead-scorer-override-input');
+    overrideInput.value = response.overridden ? response.score : '';
+    panel.querySelector('[data-details-action="clear"]').hidden = !response.overridden;
+
+    panel.querySelector('.lead-scorer-panel-close').addEventListener('click', () => panel.remove());
+    panel.querySelector('[data-details-action="override"]').addEventListener('click', () => {
+        const score = Number(overrideInput.value);
+        if (overrideInput.value.trim() === '' || !Number.isInteger(score)) {
+            panel.querySelector('.lead-scorer-panel-note').textContent = 'Enter a whole number';
+            return;
+        }
+        saveScoreOverride(panel, card, profileData, score);
+    });
+    panel.querySelector('[data-details-action="clear"]').addEventListener('click', () => {
+        saveScoreOverride(panel, card, profileData, null);
+    });
+    panel.querySelector('[data-details-action="rescore"]').addEventListener('click', () => {
+        panel.remove();
+        rescoreCard(card, true);
+    });
+
+    const exampleInput = panel.querySelector('.lead-scorer-example-input');
+    const profileKey = getProfileKeyFromUrl(profileData.profileUrl);
+    exampleInput.value = response.score;
+    showPinnedExample(panel, profileKey);
+
+    panel.querySelector('[data-details-action="pin"]').addEventListener('click', () => {
+        const score = Number(exampleInput.value);
+        if (exampleInput.value.trim() === '' || !Number.isInteger(score)) {
+            panel.querySelector('.lead-scorer-panel-note').textContent = 'Enter a whole number';
+            return;
+        }
+        pinScoreExample(panel, profileKey, profileData, score);
+    });
+    panel.querySelector('[data-details-action="unpin"]').addEventListener('click', () => {
+        pinScoreExample(panel, profileKey, profileData, null);
+    });
+
+    return panel;
+}
+
+/**
+ * Summarise a score response for the panel title
+ */
+function describeScoreResponse(response) {
+    const parts = [`Score ${response.score}`];
+    if (response.overridden) {
+        parts.push(`set manually, model scored ${response.modelScore}`);
+    }
+    if (response.persona) {
+        parts.push(response.persona);
+    }
+    if (response.cached) {
+        parts.push('cached');
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * List each rule that fired with its points
+ */
+function renderBreakdownList(list, breakdown) {
+    if (!breakdown || breakdown.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No rule breakdown for this score';
+        list.appendChild(item);
+        return;
+    }
+
+    breakdown.forEach(entry => {
+        const item = document.createElement('li');
+        item.textContent = formatBreakdownEntry(entry);
+        item.className = entry.points > 0 ? 'lead-scorer-points-positive' : 'lead-scorer-points-negative';
+        list.appendChild(item);
+    });
+}
+
+/**
+ * List the profile fields that were sent for scoring, marking those taken from the full profile
+ */
+function renderScoredFields(list, profileData) {
+    const enrichedFields = profileData.enrichedFields || [];
+
+    PROFILE_PROMPT_FIELDS
+        .filter(([key]) => profileData[key] !== undefined && profileData[key] !== '')
+        .forEach(([key, label]) => {
+            const term = document.createElement('dt');
+            term.textContent = enrichedFields.includes(key) ? `${label} (full profile)` : label;
+            const value = document.createElement('dd');
+            value.textContent = profileData[key];
+            list.appendChild(term);
+            list.appendChild(value);
+        });
+}
+
+/**
+ * Show whether the card's profile is pinned as a few-shot example, and with which score
+ */
+async function showPinnedExample(panel, profileKey) {
+    if (!profileKey) {
+        panel.querySelector('[data-details-action="pin"]').disabled = true;
+        return;
+    }
+
+    try {
+        const example = await getFewShotExample(profileKey);
+        if (example) {
+            panel.querySelector('.lead-scorer-example-input').value = example.score;
+        }
+        panel.querySelector('[data-details-action="unpin"]').hidden = !example;
+    } catch (error) {
+        console.error('LinkedIn Lead Scorer: Error loading example:', error);
+    }
+}
+
+/**
+ * Pin the card's profile as a few-shot example with the given score, or unpin it (score null)
+ */
+async function pinScoreExample(panel, profileKey, profileData, score) {
+    const note = panel.querySelector('.lead-scorer-panel-note');
+
+    try {
+        if (score === null) {
+            await removeFewShotExample(profileKey);
+            note.textContent = 'Removed from the examples';
+        } else {
+            await saveFewShotExample(profileKey, profileData, score);
+            note.textContent = `Pinned as an example scoring ${score}; profiles scored from now on will see it`;
+        }
+        panel.querySelector('[data-details-action="unpin"]').hidden = score === null;
+    } catch (error) {
+        console.error('LinkedIn Lead Scorer: Error saving example:', error);
+        note.textContent = error.message || 'Could not save the example';
+    }
+}
+
+/**
+ * Save or clear (score null) a manual score, then redraw the card's badge with it
+ */
+async function saveScoreOverride(panel, card, profileData, score) {
+    const note = panel.querySelector('.lead-scorer-panel-note');
+
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'overrideLeadScore',
+            profileData: profileData,
+            score: score
+        });
+
+        if (!response.success) {
+            note.textContent = response.error;
+            return;
+        }
+        if (!response.saved) {
+            note.textContent = 'This profile is not in the lead history';
+            return;
+        }
+
+        // The cached score comes back with the override applied
+        panel.remove();
+        rescoreCard(card, false);
+    } catch (error) {
+        console.error('LinkedIn Lead Scorer: Error saving override:', error);
+        note.textContent = 'Could not save the override';
+    }
+}
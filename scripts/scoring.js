@@ -0,0 +1,363 @@
+// Shared scoring logic for LinkedIn Lead Scorer
+// Loaded by the background service worker (importScripts), the content scripts and the popup, history and calibration pages
+
+// Rule types understood by the rubric editor and the prompt compiler
+const RULE_TYPES = {
+    keywords: {
+        label: 'Headline keywords',
+        usesTerms: true,
+        condition: (terms) => `headline contains: ${terms}`
+    },
+    industry: {
+        label: 'Industry',
+        usesTerms: true,
+        condition: (terms) => `headline suggests industries like ${terms}`
+    },
+    location: {
+        label: 'Location',
+        usesTerms: true,
+        condition: (terms) => `location is ${terms}`
+    },
+    school: {
+        label: 'School',
+        usesTerms: true,
+        condition: (terms) => `the headline explicitly mentions one of these universities: ${terms}`
+    },
+    profilePicture: {
+        label: 'Profile picture',
+        usesTerms: false,
+        condition: () => 'the user has a profile picture (this will be passed as a boolean)'
+    }
+};
+
+// Default rubric, equivalent to the original hardcoded scoring prompt
+const DEFAULT_RUBRIC = {
+    rules: [
+        {
+            id: 'positive-keywords',
+            label: 'Positive Keywords',
+            type: 'keywords',
+            points: 10,
+            terms: ['Founder', 'VC', 'Investor', 'Angel', 'Entrepreneur', 'Stealth', 'Building']
+        },
+        {
+            id: 'negative-keywords',
+            label: 'Negative Keywords',
+            type: 'keywords',
+            points: -10,
+            terms: ['banker', 'realtor', 'loan']
+        },
+        {
+            id: 'industry',
+            label: 'Industry',
+            type: 'industry',
+            points: 5,
+            terms: ['Startup', 'Venture Capital', 'Computer Software', 'Internet']
+        },
+        {
+            id: 'location',
+            label: 'Location',
+            type: 'location',
+            points: 5,
+            terms: ['Bangalore', 'San Francisco', 'San Francisco Bay Area']
+        },
+        {
+            id: 'profile-picture',
+            label: 'Profile Picture',
+            type: 'profilePicture',
+            points: 1,
+            terms: []
+        },
+        {
+            id: 'education',
+            label: 'Education',
+            type: 'school',
+            points: 5,
+            terms: ['Stanford', 'MIT', 'CMU', 'IIT']
+        }
+    ]
+};
+
+const MAX_RULE_POINTS = 100;
+
+// Structured profile fields each rule field is matched against, in order
+// (current position and education only exist when scoring a full profile page)
+const RULE_FIELD_SOURCES = {
+    headline: ['headline', 'currentPosition'],
+    location: ['location', 'headline'],
+    school: ['headline', 'education']
+};
+
+// Structured profile fields rendered into the prompt, with their labels
+const PROFILE_PROMPT_FIELDS = [
+    ['name', 'Name'],
+    ['headline', 'Headline'],
+    ['location', 'Location'],
+    ['currentPosition', 'Current Position'],
+    ['mutualConnections', 'Mutual Connections'],
+    ['message', 'Invitation Message'],
+    ['about', 'About'],
+    ['experience', 'Experience'],
+    ['education', 'Education']
+];
+
+/**
+ * Load the active persona's rubric (see personas.js)
+ */
+async function loadScoringRubric() {
+    const persona = await loadActivePersona();
+    return getPersonaRubric(persona.settings);
+}
+
+/**
+ * Get the rubric from persona settings, falling back to the default when missing or invalid
+ */
+function getPersonaRubric(settings) {
+    const rubric = settings.scoringRubric;
+
+    if (rubric && validateRubric(rubric).length === 0) {
+        return rubric;
+    }
+
+    return DEFAULT_RUBRIC;
+}
+
+/**
+ * Get the lowest and highest total a rubric can produce
+ */
+function getRubricScoreRange(rubric) {
+    return rubric.rules.reduce((range, rule) => ({
+        min: range.min + Math.min(rule.points, 0),
+        max: range.max + Math.max(rule.points, 0)
+    }), { min: 0, max: 0 });
+}
+
+/**
+ * Compute a short version hash of a rubric, used to invalidate cached scores
+ */
+function getRubricVersion(rubric) {
+    const source = JSON.stringify(rubric.rules);
+    let hash = 5381;
+
+    for (let i = 0; i < source.length; i++) {
+        hash = ((hash << 5) + hash + source.charCodeAt(i)) | 0;
+    }
+
+    return (hash >>> 0).toString(16);
+}
+
+/**
+ * Generate an identifier for a new rubric rule
+ */
+function createRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 7)}`;
+}
+
+/**
+ * Validate a rubric and return a list of human-readable errors (empty when valid)
+ */
+function validateRubric(rubric) {
+    const errors = [];
+
+    if (!rubric || !Array.isArray(rubric.rules) || rubric.rules.length === 0) {
+        return ['Rubric must contain at least one rule'];
+    }
+
+    const seenIds = new Set();
+    const termSigns = new Map();
+    let profilePictureRules = 0;
+
+    rubric.rules.forEach((rule, index) => {
+        const name = rule.label ? `"${rule.label}"` : `Rule ${index + 1}`;
+        const type = RULE_TYPES[rule.type];
+
+        if (!rule.label || !rule.label.trim()) {
+            errors.push(`Rule ${index + 1} needs a name`);
+        }
+
+        if (!rule.id || seenIds.has(rule.id)) {
+            errors.push(`${name} has a missing or duplicate id`);
+        }
+        seenIds.add(rule.id);
+
+        if (!type) {
+            errors.push(`${name} has an unknown type`);
+            return;
+        }
+
+        if (!Number.isInteger(rule.points) || rule.points === 0 || Math.abs(rule.points) > MAX_RULE_POINTS) {
+            errors.push(`${name} must award a non-zero whole number of points between -${MAX_RULE_POINTS} and ${MAX_RULE_POINTS}`);
+            return;
+        }
+
+        if (rule.type === 'profilePicture') {
+            profilePictureRules++;
+            return;
+        }
+
+        const terms = Array.isArray(rule.terms) ? rule.terms : [];
+        if (terms.length === 0 || terms.some(term => typeof term !== 'string' || !term.trim())) {
+            errors.push(`${name} needs at least one non-empty term`);
+            return;
+        }
+
+        // The same term must not be rewarded by one rule and penalised by another
+        const field = getRuleField(rule.type);
+        terms.forEach(term => {
+            const key = `${field}:${term.trim().toLowerCase()}`;
+            const existing = termSigns.get(key);
+
+            if (existing && existing.index === index) {
+                errors.push(`${name} lists "${term.trim()}" more than once`);
+            } else if (existing && existing.sign !== Math.sign(rule.points)) {
+                errors.push(`"${term.trim()}" is both rewarded and penalised (${existing.name} and ${name})`);
+            } else if (!existing) {
+                termSigns.set(key, { sign: Math.sign(rule.points), name: name, index: index });
+            }
+        });
+    });
+
+    if (profilePictureRules > 1) {
+        errors.push('Only one profile picture rule is allowed');
+    }
+
+    return errors;
+}
+
+/**
+ * Get the profile field a rule type is matched against
+ */
+function getRuleField(type) {
+    if (type === 'keywords' || type === 'industry') return 'headline';
+    return type;
+}
+
+/**
+ * Compile a rubric into the system prompt sent to the LLM, for one profile or a batch
+ */
+function compileRubricPrompt(rubric, batch) {
+    const ruleLines = rubric.rules.map(rule => {
+        const type = RULE_TYPES[rule.type];
+        const amount = Math.abs(rule.points);
+        const verb = rule.points > 0 ? 'Add' : 'Subtract';
+        const unit = amount === 1 ? 'point' : 'points';
+        const terms = (rule.terms || []).map(term => `'${term}'`).join(', ');
+        const sign = rule.points > 0 ? '+' : '-';
+
+        return `- ${rule.label} (${sign}${amount}): ${verb} ${amount} ${unit} if ${type.condition(terms)}.`;
+    });
+
+    const breakdown = '"breakdown" (an array of {"rule", "points"} objects for each rule that applied)';
+    const task = batch
+        ? `Analyze each of the following profiles, identified by "Profile ID", and return ONLY a JSON object with one key, "results": an array with one object per profile containing the keys "id", "totalScore", "reasoning" and ${breakdown}.`
+        : `Analyze the following profile text and return ONLY a JSON object with the keys "totalScore", "reasoning" and ${breakdown}.`;
+
+    return `You are an AI assistant that evaluates LinkedIn profiles based on a strict set of rules. ${task}
+
+Scoring Rules:
+- Base Score: 0
+${ruleLines.join('\n')}
+
+Calculate the sum${batch ? ' for each profile' : ''} and provide a brief justification in the 'reasoning' string.`;
+}
+
+/**
+ * Score a profile locally by applying the rubric rules, without any LLM call
+ */
+function evaluateRubric(rubric, profileData) {
+    const breakdown = [];
+
+    rubric.rules.forEach(rule => {
+        if (rule.type === 'profilePicture') {
+            if (profileData.hasProfilePic) {
+                breakdown.push({ ruleId: rule.id, label: rule.label, type: rule.type, points: rule.points, matched: [] });
+            }
+            return;
+        }
+
+        const text = getProfileFieldText(profileData, getRuleField(rule.type));
+        const matched = rule.terms.filter(term => termMatches(text, term));
+
+        if (matched.length > 0) {
+            breakdown.push({ ruleId: rule.id, label: rule.label, type: rule.type, points: rule.points, matched: matched });
+        }
+    });
+
+    const totalScore = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+    const reasoning = breakdown.length > 0
+        ? breakdown.map(formatBreakdownEntry).join('; ')
+        : 'No rubric rules matched';
+
+    return {
+        totalScore: totalScore,
+        reasoning: reasoning,
+        breakdown: breakdown
+    };
+}
+
+/**
+ * Check whether a local result found any term-based evidence in the profile
+ */
+function hasTermMatch(result) {
+    return result.breakdown.some(entry => entry.type !== 'profilePicture');
+}
+
+/**
+ * Get the profile text a rule field is matched against, falling back to the raw card text
+ */
+function getProfileFieldText(profileData, field) {
+    const parts = (RULE_FIELD_SOURCES[field] || [])
+        .map(key => profileData[key])
+        .filter(Boolean);
+
+    return parts.length > 0 ? parts.join('\n') : (profileData.text || '');
+}
+
+/**
+ * Render structured profile data as the text block sent to the LLM
+ */
+function formatProfileData(profileData) {
+    const lines = PROFILE_PROMPT_FIELDS
+        .filter(([key]) => profileData[key] !== undefined && profileData[key] !== '')
+        .map(([key, label]) => `${label}: ${profileData[key]}`);
+
+    // Without a headline the model needs the raw card text to find anything useful
+    if (!profileData.headline && profileData.text) {
+        lines.push(`Profile Text: ${profileData.text}`);
+    }
+
+    lines.push(`Has Profile Picture: ${Boolean(profileData.hasProfilePic)}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Check whether a term appears in text as a whole word or phrase
+ */
+function termMatches(text, term) {
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Short all-caps terms are acronyms ('MIT', 'VC') and must not match ordinary words
+    const isAcronym = term.length <= 4 && term === term.toUpperCase();
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, isAcronym ? 'u' : 'iu');
+    return pattern.test(text);
+}
+
+/**
+ * Format a single breakdown entry for display
+ */
+function formatBreakdownEntry(entry) {
+    const points = entry.points > 0 ? `+${entry.points}` : `${entry.points}`;
+    const evidence = entry.matched && entry.matched.length > 0 ? ` (${entry.matched.join(', ')})` : '';
+    return `${entry.label} ${points}${evidence}`;
+}
+
+/**
+ * Get the score band class shared by the badges on LinkedIn and the history page
+ */
+function getScoreClass(score) {
+    if (score >= 20) return 'score-excellent';
+    if (score >= 10) return 'score-good';
+    if (score >= 5) return 'score-fair';
+    if (score >= 0) return 'score-poor';
+    return 'score-negative';
+}
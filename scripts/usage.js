@@ -0,0 +1,193 @@
+// Token usage and cost tracking for LinkedIn Lead Scorer
+// Counts the tokens each provider reports per day and model, and estimates cost from the
+// prices in MODEL_CONFIGS or the ones changed in the popup. A monthly budget pauses scoring.
+// Loaded by the background service worker (importScripts) and the popup; needs models.js
+
+// chrome.storage.local: {'2026-10-19': {'openai:gpt-4o-mini': {requests, inputTokens, outputTokens}}}, keyed by getUsageModelKey
+const USAGE_LOG_KEY = 'usageLog';
+
+// Days of usage kept, so this month can be compared with the same month last year
+const MAX_USAGE_DAYS = 400;
+
+// Prices are per this many tokens
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+const MAX_MODEL_PRICE = 1000;
+const MAX_MONTHLY_BUDGET = 100000;
+
+// Requests finish concurrently, so log updates are chained to keep any from being lost
+let usageWrites = Promise.resolve();
+
+/**
+ * Identify a model across providers, e.g. "openai:gpt-4o-mini". Models on a custom server also
+ * carry its API root, e.g. "custom:llama3@http://localhost:11434/v1", so each server is priced on its own
+ */
+function getUsageModelKey(provider, model, server) {
+    return server ? `${provider}:${model}@${server}` : `${provider}:${model}`;
+}
+
+/**
+ * Split a usage key back into its provider, model and server ('' for hosted providers)
+ */
+function parseUsageModelKey(modelKey) {
+    const [provider, ...rest] = modelKey.split(':');
+    const match = rest.join(':').match(/^(.*)@(https?:\/\/.+)$/);
+    return match
+        ? { provider: provider, model: match[1], server: match[2] }
+        : { provider: provider, model: rest.join(':'), server: '' };
+}
+
+/**
+ * Get the local calendar day a time falls on, e.g. "2026-10-19"; the month is its first seven characters
+ */
+function getUsageDate(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the list prices from MODEL_CONFIGS, keyed like the usage log
+ */
+function getDefaultModelPrices() {
+    const prices = {};
+    Object.entries(MODEL_CONFIGS).forEach(([provider, models]) => {
+        models.filter(model => model.prices).forEach(model => {
+            prices[getUsageModelKey(provider, model.value)] = model.prices;
+        });
+    });
+    return prices;
+}
+
+/**
+ * Load the price of every model: the list price unless it was changed in the popup
+ */
+async function loadModelPrices() {
+    const { modelPrices } = await chrome.storage.sync.get('modelPrices');
+    return { ...getDefaultModelPrices(), ...modelPrices };
+}
+
+/**
+ * Load the monthly budget in USD, or null when there is none
+ */
+async function loadMonthlyBudget() {
+    const { monthlyBudget } = await chrome.storage.sync.get('monthlyBudget');
+    return monthlyBudget || null;
+}
+
+/**
+ * Add one request's reported tokens ({inputTokens, outputTokens}) to today's usage for its model key.
+ * Never throws: a failed write must not fail the score it was recorded for
+ */
+function recordUsage(modelKey, usage) {
+    usageWrites = usageWrites
+        .then(() => addUsage(modelKey, usage))
+        .catch(error => console.error('Error recording usage:', error));
+    return usageWrites;
+}
+
+/**
+ * Add tokens to today's usage for a model and drop the oldest days beyond MAX_USAGE_DAYS
+ */
+async function addUsage(modelKey, usage) {
+    const { [USAGE_LOG_KEY]: log = {} } = await chrome.storage.local.get(USAGE_LOG_KEY);
+    const today = getUsageDate(Date.now());
+    const day = log[today] || {};
+    const totals = day[modelKey] || { requests: 0, inputTokens: 0, outputTokens: 0 };
+
+    day[modelKey] = {
+        requests: totals.requests + 1,
+        inputTokens: totals.inputTokens + usage.inputTokens,
+        outputTokens: totals.outputTokens + usage.outputTokens
+    };
+    log[today] = day;
+    Object.keys(log).sort().slice(0, -MAX_USAGE_DAYS).forEach(date => {
+        delete log[date];
+    });
+
+    await chrome.storage.local.set({ [USAGE_LOG_KEY]: log });
+}
+
+/**
+ * Load the usage log
+ */
+async function loadUsageLog() {
+    const { [USAGE_LOG_KEY]: log = {} } = await chrome.storage.local.get(USAGE_LOG_KEY);
+    return log;
+}
+
+/**
+ * Remove all recorded usage
+ */
+async function clearUsageLog() {
+    await chrome.storage.local.remove(USAGE_LOG_KEY);
+}
+
+/**
+ * Estimate the cost of some tokens at a model's price; models without a price cost nothing
+ */
+function estimateCost(totals, price) {
+    if (!price) {
+        return 0;
+    }
+    return (totals.inputTokens * price.input + totals.outputTokens * price.output) / TOKENS_PER_PRICE_UNIT;
+}
+
+/**
+ * Total the usage for a day ("2026-10-19") or month ("2026-10"), overall and per model
+ */
+function summarizeUsage(log, prices, period) {
+    const summary = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, models: {} };
+
+    Object.keys(log).filter(date => date.startsWith(period)).forEach(date => {
+        Object.entries(log[date]).forEach(([modelKey, totals]) => {
+            const model = summary.models[modelKey] || { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+            const cost = estimateCost(totals, prices[modelKey]);
+            [model, summary].forEach(target => {
+                target.requests += totals.requests;
+                target.inputTokens += totals.inputTokens;
+                target.outputTokens += totals.outputTokens;
+                target.cost += cost;
+            });
+            summary.models[modelKey] = model;
+        });
+    });
+
+    return summary;
+}
+
+/**
+ * Load today's and this month's usage totals
+ */
+async function loadUsageTotals() {
+    const log = await loadUsageLog();
+    const prices = await loadModelPrices();
+    const today = getUsageDate(Date.now());
+
+    return {
+        today: summarizeUsage(log, prices, today),
+        month: summarizeUsage(log, prices, today.substring(0, 7))
+    };
+}
+
+/**
+ * Throw when this month's estimated cost has reached the monthly budget, pausing scoring
+ */
+async function checkUsageBudget() {
+    const budget = await loadMonthlyBudget();
+    if (!budget) {
+        return;
+    }
+
+    const { month } = await loadUsageTotals();
+    if (month.cost >= budget) {
+        throw new Error(`Monthly budget of ${formatCost(budget)} reached (${formatCost(month.cost)} spent). Scoring is paused until next month or until the budget is raised in the popup.`);
+    }
+}
+
+/**
+ * Format a cost in USD, with more decimals for amounts under a cent
+ */
+function formatCost(cost) {
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
@@ -0,0 +1,229 @@
+// Outbound webhook for LinkedIn Lead Scorer
+// POSTs high-scoring leads to a configured URL, once per profile, with retries and a delivery log
+
+const WEBHOOK_DEFAULTS = {
+    threshold: 20
+};
+
+// Marks a profile as delivered so the same person never triggers twice
+const WEBHOOK_SENT_PREFIX = 'webhookSent:';
+
+// Waits between attempts; one initial attempt plus one retry per entry
+const WEBHOOK_RETRY_DELAYS_MS = [1000, 5000, 15000];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_WEBHOOK_LOG_ENTRIES = 100;
+
+// Profiles with a delivery in progress, so concurrent scores cannot both claim one
+const webhooksInFlight = new Set();
+
+/**
+ * Send the lead to the webhook when it meets the threshold and has not been sent before
+ */
+async function maybeSendLeadWebhook(profileKey, profileData, entry) {
+    const config = await loadWebhookConfig();
+    if (!config.url || entry.score < config.threshold || webhooksInFlight.has(profileKey)) {
+        return;
+    }
+
+    const sentKey = WEBHOOK_SENT_PREFIX + profileKey;
+    const stored = await chrome.storage.local.get(sentKey);
+    if (stored[sentKey] || webhooksInFlight.has(profileKey)) {
+        return;
+    }
+
+    webhooksInFlight.add(profileKey);
+    try {
+        const payload = buildLeadPayload('lead.qualified', profileData, entry, config.threshold);
+        const result = await deliverWebhook(config, payload, WEBHOOK_RETRY_DELAYS_MS);
+        await logWebhookDelivery(payload, result);
+
+        if (result.ok) {
+            await chrome.storage.local.set({ [sentKey]: Date.now() });
+        }
+    } finally {
+        webhooksInFlight.delete(profileKey);
+    }
+}
+
+/**
+ * Send a sample lead to a webhook once, without retries or deduplication
+ */
+async function sendTestWebhook(config) {
+    const payload = buildLeadPayload('test', {
+        name: 'Jane Doe',
+        headline: 'Founder at Example Ventures',
+        location: 'San Francisco Bay Area',
+        mutualConnections: 12,
+        message: 'Hi, I would love to connect.',
+        profileUrl: 'https://www.linkedin.com/in/example/'
+    }, {
+        score: config.threshold,
+        reasoning: 'Sample lead sent from the extension settings',
+        breakdown: [],
+        provider: 'test',
+        model: 'test',
+        scoredAt: Date.now()
+    }, config.threshold);
+
+    const result = await deliverWebhook(config, payload, []);
+    await logWebhookDelivery(payload, result);
+    return result;
+}
+
+/**
+ * Load the webhook settings, or an empty url when the webhook is off; the threshold belongs to the active persona
+ */
+async function loadWebhookConfig() {
+    const settings = await chrome.storage.sync.get(['webhookUrl', 'webhookSecret', 'webhookHeaders']);
+    const persona = await loadActivePersona();
+    return {
+        url: settings.webhookUrl || '',
+        threshold: persona.settings.webhookThreshold ?? WEBHOOK_DEFAULTS.threshold,
+        secret: settings.webhookSecret || '',
+        headers: settings.webhookHeaders || ''
+    };
+}
+
+/**
+ * Build the JSON body describing a scored lead
+ */
+function buildLeadPayload(event, profileData, entry, threshold) {
+    const name = profileData.name || 'Unknown';
+
+    return {
+        event: event,
+        sentAt: new Date().toISOString(),
+        threshold: threshold,
+        // Plain summary so chat webhooks such as Slack show something readable
+        text: `Lead Scorer: ${name} scored ${entry.score}${profileData.profileUrl ? ` - ${profileData.profileUrl}` : ''}`,
+        lead: {
+            name: profileData.name || '',
+            headline: profileData.headline || '',
+            location: profileData.location || '',
+            mutualConnections: profileData.mutualConnections ?? null,
+            message: profileData.message || '',
+            profileUrl: profileData.profileUrl || '',
+            score: entry.score,
+            reasoning: entry.reasoning,
+            breakdown: (entry.breakdown || []).map(item => ({ rule: item.label, points: item.points })),
+            provider: entry.provider,
+            model: entry.model,
+            scoredAt: new Date(entry.scoredAt).toISOString()
+        }
+    };
+}
+
+/**
+ * POST a payload, retrying network errors, 429s and 5xx responses after each delay
+ */
+async function deliverWebhook(config, payload, retryDelays) {
+    const body = JSON.stringify(payload);
+    let attempts = 0;
+    let lastError = null;
+    let lastStatus = null;
+
+    while (true) {
+        attempts++;
+        let retryable = true;
+
+        try {
+            const response = await postWebhook(config, body);
+            lastStatus = response.status;
+            if (response.ok) {
+                return { ok: true, status: response.status, attempts: attempts };
+            }
+
+            lastError = `HTTP ${response.status}`;
+            retryable = response.status === 429 || response.status >= 500;
+        } catch (error) {
+            lastError = error.message || 'Network error';
+        }
+
+        if (!retryable || attempts > retryDelays.length) {
+            return { ok: false, status: lastStatus, attempts: attempts, error: lastError };
+        }
+
+        console.warn(`LinkedIn Lead Scorer: Webhook failed (${lastError}), retrying in ${retryDelays[attempts - 1]}ms`);
+        await new Promise(resolve => setTimeout(resolve, retryDelays[attempts - 1]));
+    }
+}
+
+/**
+ * Send one webhook request with the configured headers and signature
+ */
+async function postWebhook(config, body) {
+    const headers = {
+        ...parseWebhookHeaders(config.headers),
+        'Content-Type': 'application/json'
+    };
+
+    if (config.secret) {
+        headers['X-Lead-Scorer-Signature'] = `sha256=${await signWebhookBody(config.secret, body)}`;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+    try {
+        return await fetch(config.url, {
+            method: 'POST',
+            headers: headers,
+            body: body,
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Compute the hex HMAC-SHA256 of a request body
+ */
+async function signWebhookBody(secret, body) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+
+    return Array.from(new Uint8Array(signature))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Parse "Name: value" lines into a headers object; throws on a malformed line
+ */
+function parseWebhookHeaders(text) {
+    const headers = {};
+
+    (text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const separator = line.indexOf(':');
+        const name = separator > 0 ? line.substring(0, separator).trim() : '';
+        if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+            throw new Error(`Invalid header line: ${line}`);
+        }
+        headers[name] = line.substring(separator + 1).trim();
+    });
+
+    return headers;
+}
+
+/**
+ * Append a delivery attempt to the log in chrome.storage.local
+ */
+async function logWebhookDelivery(payload, result) {
+    const entry = {
+        at: Date.now(),
+        event: payload.event,
+        name: payload.lead.name,
+        score: payload.lead.score,
+        ok: result.ok,
+        status: result.status,
+        attempts: result.attempts,
+        error: result.error || null
+    };
+
+    const { webhookDeliveryLog = [] } = await chrome.storage.local.get('webhookDeliveryLog');
+    await chrome.storage.local.set({
+        webhookDeliveryLog: webhookDeliveryLog.concat(entry).slice(-MAX_WEBHOOK_LOG_ENTRIES)
+    });
+}
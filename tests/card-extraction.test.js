@@ -0,0 +1,162 @@
+// Card field extraction (content.js) against saved card HTML
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { readFixture, loadContentScripts, useAdapter, mountFixture, toPlain } = require('./helpers/content-scripts');
+
+describe('extractProfileData', () => {
+    let window;
+
+    before(async () => {
+        window = await loadContentScripts();
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    it('reads every field of an invitation card with a message', () => {
+        useAdapter(window, 'receivedInvitations');
+        const card = mountFixture(window, readFixture('cards/invitation-card.html'), '.invitation-card');
+        const profile = toPlain(window.extractProfileData(card));
+
+        assert.deepStrictEqual({ ...profile, text: undefined }, {
+            page: 'receivedInvitations',
+            name: 'Jane Doe',
+            headline: 'Founder & CEO at Stealth Startup | Ex-Stripe',
+            profileUrl: 'https://www.linkedin.com/in/jane-doe-12345/',
+            mutualConnections: 13,
+            message: 'Hi! Loved your talk on developer tools, would be great to connect.',
+            location: 'San Francisco Bay Area',
+            hasProfilePic: true,
+            text: undefined
+        });
+    });
+
+    it('leaves button labels and screen reader text out of the card text', () => {
+        useAdapter(window, 'receivedInvitations');
+        const card = mountFixture(window, readFixture('cards/invitation-card.html'), '.invitation-card');
+        const { text } = window.extractProfileData(card);
+
+        assert.ok(text.includes('Founder & CEO at Stealth Startup'));
+        assert.ok(!/\b(Ignore|Accept)\b/.test(text), text);
+        assert.ok(!text.includes('Mutual connections:'), text);
+    });
+
+    it('reads an entity lockup card without a photo or message', () => {
+        useAdapter(window, 'receivedInvitations');
+        const card = mountFixture(window, readFixture('cards/entity-lockup-card.html'), '.artdeco-entity-lockup');
+        const profile = window.extractProfileData(card);
+
+        assert.strictEqual(profile.name, 'Arjun Rao');
+        assert.strictEqual(profile.headline, 'Senior Loan Officer at First Bank');
+        assert.strictEqual(profile.profileUrl, 'https://www.linkedin.com/in/arjun-rao/');
+        assert.strictEqual(profile.mutualConnections, 1204);
+        assert.strictEqual(profile.message, '');
+        assert.strictEqual(profile.hasProfilePic, false);
+    });
+
+    it('reads a people search result with the search adapter', () => {
+        useAdapter(window, 'peopleSearch');
+        const card = mountFixture(window, readFixture('cards/search-result-card.html'), '.reusable-search__result-container');
+        const profile = window.extractProfileData(card);
+
+        assert.strictEqual(profile.page, 'peopleSearch');
+        assert.strictEqual(profile.name, 'Priya Nair');
+        assert.strictEqual(profile.headline, 'Partner at Sequoia Capital');
+        assert.strictEqual(profile.location, 'Bengaluru, Karnataka, India');
+        assert.strictEqual(profile.profileUrl, 'https://www.linkedin.com/in/priya-nair/');
+        assert.strictEqual(profile.mutualConnections, 1);
+        assert.strictEqual(profile.hasProfilePic, true);
+    });
+});
+
+describe('receivedInvitations accept control', () => {
+    let window;
+
+    before(async () => {
+        window = await loadContentScripts();
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    it('finds the accept button by its control name or label', () => {
+        const card = mountFixture(window, readFixture('cards/invitation-card.html'), '.invitation-card');
+        const button = card.querySelector(window.eval('PAGE_ADAPTERS.receivedInvitations.selectors.actionButton'));
+
+        assert.strictEqual(button.getAttribute('aria-label'), 'Accept Jane Doe’s invitation');
+        assert.ok(button.matches(window.eval('BULK_ACTIONS.accept.buttonSelector')));
+    });
+
+    it('does not take an unlabelled primary button for the accept control', () => {
+        const card = mountFixture(window, readFixture('cards/entity-lockup-card.html'), '.artdeco-entity-lockup');
+
+        assert.strictEqual(card.querySelector(window.eval('PAGE_ADAPTERS.receivedInvitations.selectors.actionButton')), null);
+        assert.strictEqual(card.querySelector(window.eval('BULK_ACTIONS.accept.buttonSelector')), null);
+    });
+});
+
+describe('parseMutualConnections', () => {
+    let window;
+
+    before(async () => {
+        window = await loadContentScripts();
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    it('counts the named connection plus the others', () => {
+        assert.strictEqual(window.parseMutualConnections('John Smith and 12 other mutual connections'), 13);
+        assert.strictEqual(window.parseMutualConnections('John Smith and 1 other mutual connection'), 2);
+    });
+
+    it('reads plain counts, with thousands separators', () => {
+        assert.strictEqual(window.parseMutualConnections('5 mutual connections'), 5);
+        assert.strictEqual(window.parseMutualConnections('  1,204 mutual\n connections '), 1204);
+    });
+
+    it('counts a single named connection', () => {
+        assert.strictEqual(window.parseMutualConnections('Rahul Mehta is a mutual connection'), 1);
+    });
+
+    it('returns 0 when there are none', () => {
+        assert.strictEqual(window.parseMutualConnections('Senior Loan Officer at First Bank'), 0);
+        assert.strictEqual(window.parseMutualConnections(''), 0);
+    });
+});
+
+describe('normalizeProfileUrl', () => {
+    let window;
+
+    before(async () => {
+        window = await loadContentScripts();
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    it('drops query strings and sub-pages', () => {
+        assert.strictEqual(
+            window.normalizeProfileUrl('https://www.linkedin.com/in/jane-doe/?miniProfileUrn=urn%3Ali%3Afs_miniProfile%3AACoAA'),
+            'https://www.linkedin.com/in/jane-doe/'
+        );
+        assert.strictEqual(
+            window.normalizeProfileUrl('https://www.linkedin.com/in/jane-doe/details/experience/'),
+            'https://www.linkedin.com/in/jane-doe/'
+        );
+    });
+
+    it('resolves relative links against linkedin.com', () => {
+        assert.strictEqual(window.normalizeProfileUrl('/in/priya-nair?trk=search'), 'https://www.linkedin.com/in/priya-nair/');
+    });
+
+    it('returns an empty string for links that are not profiles', () => {
+        assert.strictEqual(window.normalizeProfileUrl('https://www.linkedin.com/company/acme/'), '');
+        assert.strictEqual(window.normalizeProfileUrl('http://[invalid'), '');
+    });
+});
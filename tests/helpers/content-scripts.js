@@ -0,0 +1,96 @@
+// Loads the content scripts from manifest.json into a jsdom window, in manifest order, with just
+// enough of the chrome API for them to initialize on a page they do not score
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// No adapter matches this page, so loading the scripts scores nothing
+const NEUTRAL_PAGE_URL = 'https://www.linkedin.com/feed/';
+
+/**
+ * Read a fixture file from tests/fixtures
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(ROOT, 'tests', 'fixtures', name), 'utf8');
+}
+
+/**
+ * Create a window with the content scripts loaded and initialized; close it when done
+ */
+async function loadContentScripts() {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        url: NEUTRAL_PAGE_URL,
+        runScripts: 'dangerously',
+        virtualConsole: virtualConsole
+    });
+    const { window } = dom;
+    window.chrome = createChromeStub();
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    manifest.content_scripts[0].js.forEach(file => {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        window.document.head.appendChild(script);
+    });
+
+    // Let initialize() finish its storage reads before tests change any state
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    if (errors.length > 0) {
+        window.close();
+        throw errors[0];
+    }
+    return window;
+}
+
+/**
+ * Make a page adapter active, as updateActiveAdapter does on a matching page
+ */
+function useAdapter(window, name) {
+    window.eval(`activeAdapterName = ${JSON.stringify(name)}; activeAdapter = PAGE_ADAPTERS[activeAdapterName];`);
+}
+
+/**
+ * Put fixture HTML in the page and return its first element matching a selector
+ */
+function mountFixture(window, html, selector) {
+    window.document.body.innerHTML = html;
+    return window.document.querySelector(selector);
+}
+
+/**
+ * Copy a value out of the jsdom realm so assert.deepStrictEqual compares plain objects
+ */
+function toPlain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Stub the chrome APIs the content scripts touch at load time; storage is empty
+ */
+function createChromeStub() {
+    const area = {
+        get: async () => ({}),
+        set: async () => {},
+        remove: async () => {}
+    };
+    const event = { addListener: () => {} };
+
+    return {
+        storage: { sync: area, local: area, onChanged: event },
+        runtime: {
+            onMessage: event,
+            sendMessage: async () => ({ success: false, error: 'Not available in tests' }),
+            getURL: (file) => `chrome-extension://test/${file}`
+        }
+    };
+}
+
+module.exports = { readFixture, loadContentScripts, useAdapter, mountFixture, toPlain };
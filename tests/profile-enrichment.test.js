@@ -0,0 +1,102 @@
+// Profile enrichment (profile-enrichment.js) against a fetched profile page
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { readFixture, loadContentScripts, toPlain } = require('./helpers/content-scripts');
+
+const PROFILE_URL = 'https://www.linkedin.com/in/jane-doe-12345/';
+
+describe('fetchProfileFacts', () => {
+    let window;
+    let html;
+
+    before(async () => {
+        window = await loadContentScripts();
+        html = readFixture('profiles/fetched-profile.html');
+        window.fetch = async () => ({ ok: true, status: 200, text: async () => html });
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    it('finds no sections to read in fetched HTML', () => {
+        const doc = new window.DOMParser().parseFromString(html, 'text/html');
+        const profile = window.extractProfilePageData(PROFILE_URL, doc);
+
+        assert.strictEqual(profile.location, '');
+        assert.strictEqual(profile.currentPosition, '');
+        assert.strictEqual(profile.education, '');
+    });
+
+    it('reads the facts from the embedded page data', async () => {
+        const facts = toPlain(await window.fetchProfileFacts(PROFILE_URL));
+
+        assert.deepStrictEqual(facts, {
+            location: 'San Francisco, California, United States',
+            currentPosition: 'Founder & CEO · Stealth Startup',
+            education: 'Stanford University · MBA\nIIT Bombay · B.Tech, Computer Science'
+        });
+    });
+
+    it('ignores other members in the page data, such as the signed-in viewer', () => {
+        const doc = new window.DOMParser().parseFromString(html, 'text/html');
+        const facts = toPlain(window.extractEmbeddedProfileFacts('https://www.linkedin.com/in/the-viewer/', doc));
+
+        assert.deepStrictEqual(facts, {
+            location: 'London Area, United Kingdom',
+            currentPosition: 'Recruiter · Agency',
+            education: ''
+        });
+    });
+
+    it('returns nothing for a profile missing from the page data', () => {
+        const doc = new window.DOMParser().parseFromString(html, 'text/html');
+        assert.deepStrictEqual(toPlain(window.extractEmbeddedProfileFacts('https://www.linkedin.com/in/someone-else/', doc)), {});
+    });
+});
+
+describe('saveEnrichmentFacts', () => {
+    let window;
+    let stored;
+    let maxAge;
+    let maxProfiles;
+
+    before(async () => {
+        window = await loadContentScripts();
+        maxAge = window.eval('ENRICHMENT_MAX_AGE_MS');
+        maxProfiles = window.eval('MAX_ENRICHED_PROFILES');
+        stored = {};
+        window.chrome.storage.local = {
+            get: async (key) => (key === null ? { ...stored } : key in stored ? { [key]: stored[key] } : {}),
+            set: async (items) => Object.assign(stored, items),
+            remove: async (keys) => [].concat(keys).forEach(key => delete stored[key])
+        };
+    });
+
+    after(() => {
+        window.close();
+    });
+
+    it('removes entries older than a week and indexes the ones kept', async () => {
+        const now = Date.now();
+        stored['profileEnrichment:in:stale'] = { facts: {}, fetchedAt: now - maxAge - 1 };
+        stored['profileEnrichment:in:fresh'] = { facts: {}, fetchedAt: now - 1000 };
+
+        await window.saveEnrichmentFacts('in:new', { location: 'Pune' });
+
+        assert.deepStrictEqual(Object.keys(stored).filter(key => key.startsWith('profileEnrichment:')).sort(),
+            ['profileEnrichment:in:fresh', 'profileEnrichment:in:new']);
+        assert.deepStrictEqual(Object.keys(stored.profileEnrichmentIndex).sort(), ['in:fresh', 'in:new']);
+    });
+
+    it('keeps only the most recently fetched profiles', async () => {
+        for (let i = 0; i < maxProfiles + 5; i++) {
+            await window.saveEnrichmentFacts(`in:p${i}`, {});
+        }
+
+        assert.strictEqual(Object.keys(stored.profileEnrichmentIndex).length, maxProfiles);
+        assert.ok(stored[`profileEnrichment:in:p${maxProfiles + 4}`]);
+        assert.ok(!stored['profileEnrichment:in:fresh']);
+    });
+});